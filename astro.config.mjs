@@ -1,15 +1,74 @@
 // @ts-check
 
+import fs from 'node:fs';
 import mdx from '@astrojs/mdx';
 import sitemap from '@astrojs/sitemap';
 import { defineConfig } from 'astro/config';
 
 import tailwindcss from '@tailwindcss/vite';
+import { config, isPlaceholderUrl } from './src/site-config.js';
+import { projectSlug, slugRedirects } from './src/slugs.js';
+import { projectSitemapMedia } from './src/sitemap.js';
+
+// Generated by scripts/build-assets.js; missing before the first run
+/**
+ * @template T
+ * @param {string} filepath
+ * @param {T} fallback
+ * @returns {T}
+ */
+function readJson(filepath, fallback) {
+  return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : fallback;
+}
+
+// Old project URLs keep working after a project is renamed
+const slugHistory = readJson(config.paths.slugHistory, { projects: {} });
+/** @type {Array<{ status?: string, publishDate?: string }>} */
+const projects = readJson(config.paths.projects, []);
+
+// Project pages left out of the sitemap: unlisted ones, plus drafts and
+// scheduled ones (which only have a page in `astro dev`)
+const today = new Date().toISOString().slice(0, 10);
+const hiddenPages = new Set(
+  projects
+    .map((project, index) => ({ project, slug: projectSlug(project, index) }))
+    .filter(({ project }) => (project.status ?? 'published') !== 'published' || (project.publishDate ?? '') > today)
+    .map(({ slug }) => `/projects/${slug}`)
+);
+
+// Thumbnails and gallery media of project pages for the sitemap
+const sitemapMedia = projectSitemapMedia(projects, config.site.url);
+
+// Canonical URLs, the sitemap and feeds would all point at the placeholder
+/** @type {import('astro').AstroIntegration} */
+const requireSiteUrl = {
+  name: 'require-site-url',
+  hooks: {
+    'astro:config:setup': ({ command }) => {
+      if (command === 'build' && isPlaceholderUrl(config.site.url)) {
+        throw new Error(
+          `site.url is still the placeholder ${config.site.url}. Set it in site.config.mjs or build with SITE_URL=https://your-domain.`
+        );
+      }
+    },
+  },
+};
 
 // https://astro.build/config
 export default defineConfig({
-  site: 'https://example.com',
-  integrations: [mdx(), sitemap()],
+  site: config.site.url,
+  redirects: slugRedirects(slugHistory.projects, projects),
+  integrations: [
+    requireSiteUrl,
+    mdx(),
+    sitemap({
+      filter: (page) => !hiddenPages.has(new URL(page).pathname.replace(/\/$/, '')),
+      serialize: (item) => {
+        const media = sitemapMedia.get(new URL(item.url).pathname.replace(/\/$/, ''));
+        return media ? { ...item, ...media } : item;
+      },
+    }),
+  ],
 
   vite: {
     plugins: [tailwindcss()],
@@ -4,8 +4,9 @@
  * Build-time Asset Management Script
  *
  * This script automatically:
- * 1. Fetches project data from Google Sheets
- * 2. Downloads all Google Drive assets to local storage
+ * 1. Fetches project data from Google Sheets (or another content source, see lib/sources.js)
+ * 2. Downloads media from Google Drive, Dropbox, direct links and the local
+ *    media folder to local storage (see lib/providers.js)
  * 3. Updates project data to use local asset paths (saved under public/assets/projects)
  *
  * It is optimized to run at build-time (for example, on Vercel) and includes
@@ -14,505 +15,1005 @@
 
 import fs from "fs";
 import path from "path";
-import https from "https";
 import { fileURLToPath } from "url";
+import { format } from "util";
+import { createSource, withSnapshot } from "./lib/sources.js";
+import { AssetManifest } from "./lib/manifest.js";
+import { DownloadQueue, DEFAULT_QUEUE_OPTIONS } from "./lib/queue.js";
+import { createDerivatives } from "./lib/images.js";
+import { probeVideo, extractPoster, hasFfmpeg } from "./lib/video-probe.js";
+import { ValidationReport, validateRows, sheetRow } from "./lib/validate.js";
+import { parseCliArgs, UsageError, USAGE, EXIT_CODES } from "./lib/cli.js";
+import { resolveMedia, extractDriveFileId } from "./lib/providers.js";
+import {
+  sniffBuffer,
+  sniffFile,
+  readHead,
+  matchesExtension,
+  mediaKind,
+} from "./lib/sniff.js";
+import {
+  downloadToStaging,
+  discardStaging,
+  moveIntoPlace,
+  httpError,
+} from "./lib/download.js";
+import { config, publicUrl, SITE_LINK } from "../src/site-config.js";
+import { slugify, projectSlug } from "../src/slugs.js";
+import { ABOUT_SECTIONS, aboutHref, aboutSection } from "../src/about.js";
+import {
+  SETTINGS,
+  LINK_SETTINGS,
+  settingKey,
+  settingProblem,
+} from "../src/settings.js";
+import { SlugHistory } from "./lib/slug-history.js";
+import {
+  parseOrder,
+  parseFlag,
+  parseStatus,
+  parseSheetDate,
+} from "./lib/publishing.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, "..");
 
 // Configuration
-const OPENSHEET_URL =
-  "https://opensheet.elk.sh/1o30Uy7jtfAR2lc20Cycahrk13tq_SDdKkIbNQnQvTRY/Work";
-const ASSETS_DIR = path.join(__dirname, "../public/assets/projects");
-const OUTPUT_FILE = path.join(__dirname, "../src/data/projects.json");
+// Sheet, tabs, column names and paths come from site.config.mjs (see
+// src/site-config.js). SHEET_SOURCE selects where tab rows come from, e.g.
+// "json:./fixtures/sheets", "csv:./exports", "xlsx:./portfolio.xlsx" or
+// "opensheet:<base url>". SHEET_SNAPSHOT_DIR additionally saves every fetched
+// tab as a JSON fixture.
+const SHEET_SOURCE = process.env.SHEET_SOURCE || "opensheet";
+const SHEET_SNAPSHOT_DIR = process.env.SHEET_SNAPSHOT_DIR || "";
+const WORK_TAB = config.sheet.tabs.work;
+const WORK_COLUMNS = config.columns.work;
+const MEDIA_COLUMNS = config.columns.media;
+const HOME_COLUMNS = config.columns.home;
+const ABOUT_COLUMNS = config.columns.about;
+const SETTINGS_COLUMNS = config.columns.settings;
+const ASSETS_DIR = path.join(ROOT_DIR, config.paths.assets);
+const ASSETS_URL = publicUrl(config.paths.assets);
+const PUBLIC_DIR = path.join(ROOT_DIR, "public");
+// Resized AVIF/WebP/JPEG versions of every downloaded image (see lib/images.js)
+// and video poster frames (see lib/video-probe.js)
+const DERIVED_DIR = path.join(ROOT_DIR, config.paths.derived);
+const DERIVED_URL = publicUrl(config.paths.derived);
+const IMAGE_EXTENSIONS = new Set([
+  "jpg",
+  "jpeg",
+  "png",
+  "webp",
+  "avif",
+  "gif",
+  "svg",
+]);
+const VIDEO_EXTENSIONS = new Set(["mp4", "m4v", "mov", "webm", "mkv"]);
+const AUDIO_EXTENSIONS = new Set(["mp3", "m4a", "aac", "wav", "ogg", "flac"]);
+// Formats that play or display in few browsers; flagged as sheet warnings
+const LIMITED_SUPPORT = {
+  "image/heic": "a HEIC photo (export it as JPEG)",
+  "image/heif": "a HEIF photo (export it as JPEG)",
+  "video/x-msvideo": "an AVI video (export it as MP4)",
+  "audio/aiff": "an AIFF file (export it as MP3 or M4A)",
+};
+const OUTPUT_FILE = path.join(ROOT_DIR, config.paths.projects);
+// Downloads in progress; interrupted ones resume from here (see lib/download.js)
+const STAGING_DIR = path.join(ROOT_DIR, config.paths.staging);
+// Sheet cells like "edie-parker/hero.mp4" are copied from this folder
+const LOCAL_MEDIA_DIR = path.resolve(
+  process.env.LOCAL_MEDIA_DIR ||
+    path.join(ROOT_DIR, config.assets.localMediaDir)
+);
+
+// Asset manifest (tracks every downloaded file, see lib/manifest.js)
+// ASSET_VERIFY=1 re-hashes files before skipping them, ASSET_REVALIDATE=1
+// (or --force) re-downloads everything to pick up files replaced in Drive,
+// ASSET_PRUNE=1 (or --clean) deletes files no longer referenced by any tab.
+const MANIFEST_FILE = path.join(ROOT_DIR, config.paths.manifest);
+// Previous slugs of renamed projects, turned into redirects by astro.config.mjs
+const SLUG_HISTORY_FILE = path.join(ROOT_DIR, config.paths.slugHistory);
+const VERIFY_HASHES = process.env.ASSET_VERIFY === "1";
+const REVALIDATE = process.env.ASSET_REVALIDATE === "1";
+const PRUNE = process.env.ASSET_PRUNE === "1";
+
+// Download queue: DOWNLOAD_CONCURRENCY parallel downloads (at most
+// DOWNLOAD_PER_HOST per host), each retried DOWNLOAD_RETRIES times with backoff.
+// ASSET_VERBOSE=1 (or --verbose) logs every download step instead of one
+// progress line.
+const QUEUE_OPTIONS = {
+  concurrency:
+    Number(process.env.DOWNLOAD_CONCURRENCY) ||
+    DEFAULT_QUEUE_OPTIONS.concurrency,
+  perHostConcurrency:
+    Number(process.env.DOWNLOAD_PER_HOST) ||
+    DEFAULT_QUEUE_OPTIONS.perHostConcurrency,
+  retries: process.env.DOWNLOAD_RETRIES
+    ? Number(process.env.DOWNLOAD_RETRIES)
+    : DEFAULT_QUEUE_OPTIONS.retries,
+};
+const VERBOSE = process.env.ASSET_VERBOSE === "1";
+
+// Sheet validation (see lib/validate.js) always prints its report;
+// SHEET_STRICT=1 (or --strict) fails the build on errors before any JSON is
+// written.
+const STRICT = process.env.SHEET_STRICT === "1";
 
 // Additional sheet tabs to fetch
-const BASE_OPENSHEET_URL = OPENSHEET_URL.replace(/\/[^^/]+$/, "");
-const HOME_PAGE_TAB = "Home Page";
-const ABOUT_PAGE_TAB = "About Page";
-const OUTPUT_HOME_FILE = path.join(
-  __dirname,
-  "../src/data/homepage-local.json"
-);
-const OUTPUT_ABOUT_FILE = path.join(
-  __dirname,
-  "../src/data/aboutpage-local.json"
-);
+const HOME_PAGE_TAB = config.sheet.tabs.home;
+const ABOUT_PAGE_TAB = config.sheet.tabs.about;
+const SETTINGS_TAB = config.sheet.tabs.settings;
+const OUTPUT_HOME_FILE = path.join(ROOT_DIR, config.paths.home);
+const OUTPUT_ABOUT_FILE = path.join(ROOT_DIR, config.paths.about);
+const OUTPUT_SETTINGS_FILE = path.join(ROOT_DIR, config.paths.settings);
 
 // File size limits (in bytes)
-const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB limit
+const MAX_FILE_SIZE = config.assets.maxFileSizeMb * 1024 * 1024;
 
-// Google Drive URL patterns
-const GOOGLE_DRIVE_PATTERNS = [
-  /https:\/\/drive\.google\.com\/file\/d\/([a-zA-Z0-9_-]+)\/view/,
-  /https:\/\/drive\.google\.com\/open\?id=([a-zA-Z0-9_-]+)/,
-  /https:\/\/docs\.google\.com\/.*\/d\/([a-zA-Z0-9_-]+)/,
-];
+// Per-file logging, enabled by ASSET_VERBOSE=1 or --verbose
+let verbose = VERBOSE;
 
-console.log("🚀 Starting build-time asset processing...");
+// Progress messages go to stdout, or to stderr with --json so that stdout
+// only carries the summary; warnings and errors always go to stderr. While
+// files download they are printed above the queue's progress line.
+let logStream = process.stdout;
+let progressLine = null;
 
-// Extract Google Drive file ID
-function extractDriveFileId(url) {
-  if (!url || typeof url !== "string") return null;
+function print(stream, args) {
+  const message = format(...args);
+  if (progressLine) progressLine.log(message, stream);
+  else stream.write(`${message}\n`);
+}
+
+function log(...args) {
+  print(logStream, args);
+}
 
-  for (const pattern of GOOGLE_DRIVE_PATTERNS) {
-    const match = url.match(pattern);
-    if (match) return match[1];
+function logWarning(...args) {
+  print(process.stderr, args);
+}
+
+function logError(...args) {
+  print(process.stderr, args);
+}
+
+// Provider reference for a media cell (see lib/providers.js)
+function mediaRef(value) {
+  return resolveMedia(value, { localMediaDir: LOCAL_MEDIA_DIR });
+}
+
+// Error for a file no signature matches
+function unknownTypeError(head, name) {
+  return httpError(
+    `Unrecognised file type${name ? ` (${name})` : ""}, first bytes ${head
+      .subarray(0, 8)
+      .toString("hex")}`,
+    { retryable: false }
+  );
+}
+
+// Extension for a file on disk from its signature; unknown files are errors
+function sniffedExtension(filepath) {
+  const sniffed = sniffFile(filepath);
+  if (!sniffed) {
+    throw unknownTypeError(readHead(filepath), path.basename(filepath));
   }
-  return null;
+  return sniffed.extension;
 }
 
-// Convert Google Drive URL to direct download URL
-function getDirectDownloadUrl(url) {
-  const fileId = extractDriveFileId(url);
-  if (!fileId) return null;
-  return `https://drive.google.com/uc?export=download&id=${fileId}`;
+// Create safe filename from the provider's stable media ID
+function createSafeFilename(
+  projectName,
+  fieldName,
+  fileId,
+  tempExtension = ".tmp"
+) {
+  const safeName = slugify(projectName);
+
+  return `${safeName}-${fieldName}-${fileId}${tempExtension}`;
+}
+
+// Log only in verbose mode (per-file details; the queue reports progress)
+function debug(...args) {
+  if (verbose) log(...args);
 }
 
-// Create safe filename
-// Function to detect file type from content
-function detectFileType(buffer) {
-  // Check for video formats first
+// Download a file into place (a single attempt; the download queue retries
+// failed attempts with backoff, resuming from the staging file). `filepath`
+// is the destination with a placeholder extension, replaced by the real one.
+// `driveFileId` enables the Google Drive virus-scan confirmation.
+async function downloadFile(
+  url,
+  filepath,
+  { driveFileId = null, onProgress = null } = {}
+) {
+  const baseName = path.basename(filepath, path.extname(filepath));
+  const stagingPath = path.join(STAGING_DIR, `${baseName}.part`);
+
+  debug(`📥 Downloading: ${baseName}`);
+
+  const staged = await downloadToStaging(url, stagingPath, {
+    onProgress,
+    maxSize: MAX_FILE_SIZE,
+    log: debug,
+  });
+
+  // Only the start of the file is needed to recognise it
+  const head = readHead(staged.path);
+  const sniffed = sniffBuffer(head);
 
-  // Check for MP4/video formats (ISO Base Media File Format)
-  const ftypIndex = buffer.indexOf("ftyp");
-  if (ftypIndex !== -1 && ftypIndex <= 12) {
-    // Check the brand after 'ftyp'
-    const brand = buffer.slice(ftypIndex + 4, ftypIndex + 8).toString();
-    console.log(`🔍 Video brand detected: ${brand}`);
+  // Check if file is HTML (failed download or virus warning)
+  const fileContent = head.toString("utf8", 0, Math.min(1000, head.length));
+  if (
+    !sniffed &&
+    (fileContent.includes("<html") ||
+      fileContent.includes("<!DOCTYPE") ||
+      fileContent.includes("<title>"))
+  ) {
+    debug(`⚠️  Got HTML response, checking for virus scan warning...`);
+    const page = fs.readFileSync(staged.path, "utf8");
+    discardStaging(stagingPath);
+
+    // Check for Google Drive virus scan warning
     if (
-      brand.includes("mp4") ||
-      brand.includes("isom") ||
-      brand.includes("M4V") ||
-      brand.includes("mp41") ||
-      brand.includes("mp42")
+      driveFileId &&
+      (page.includes("virus scan warning") ||
+        page.includes("Google Drive can't scan this file"))
     ) {
-      return ".mp4";
-    }
-    if (brand.includes("qt") || brand.includes("mov")) {
-      return ".mov";
+      debug(`🔄 Handling Google Drive virus scan warning...`);
+
+      // Extract the direct download URL from the HTML form
+      const confirmMatch = page.match(/name="confirm"\s+value="([^"]+)"/);
+      const uuidMatch = page.match(/name="uuid"\s+value="([^"]+)"/);
+
+      if (confirmMatch && uuidMatch) {
+        const directUrl = `https://drive.usercontent.google.com/download?id=${driveFileId}&export=download&confirm=${confirmMatch[1]}&uuid=${uuidMatch[1]}`;
+
+        debug(`🔄 Retrying with direct download URL...`);
+        return downloadFile(directUrl, filepath, { driveFileId, onProgress });
+      }
+      debug(
+        `⚠️  Could not extract confirm/uuid values from virus warning page`
+      );
+      debug(`HTML content sample: ${page.substring(0, 300)}...`);
     }
-    // Default to mp4 for other video formats
-    return ".mp4";
+
+    throw httpError(
+      "Downloaded HTML instead of media file. The link may need sign-in or restrict access.",
+      { retryable: false }
+    );
   }
 
-  // Check for other video format signatures
-  if (buffer.slice(0, 3).toString() === "AVI") return ".avi";
-  if (
-    buffer.slice(0, 4).toString() === "RIFF" &&
-    buffer.slice(8, 12).toString() === "AVI "
-  )
-    return ".avi";
+  // The file's signature decides its extension, not the name it was shared
+  // under
+  if (staged.filename) debug(`📄 Original filename: ${staged.filename}`);
+  if (!sniffed) {
+    discardStaging(stagingPath);
+    throw unknownTypeError(head, staged.filename);
+  }
+  debug(`🔍 Detected ${sniffed.mime}`);
+  const finalFilepath = path.join(
+    path.dirname(filepath),
+    baseName + sniffed.extension
+  );
+
+  // Only a complete, verified file ever appears in the assets directory
+  moveIntoPlace(staged.path, finalFilepath);
+  debug(
+    `✅ Downloaded: ${path.basename(finalFilepath)} (${(
+      staged.size / 1024
+    ).toFixed(1)}KB)`
+  );
+  return finalFilepath;
+}
 
-  // WebM format
-  if (buffer.slice(0, 4).toString("hex") === "1a45dfa3") return ".webm";
+// Fetch project data from the Work tab
+async function fetchProjectData(source, report) {
+  log(`📊 Fetching project data from ${source.kind} source...`);
+
+  const data = await source.fetchTab(WORK_TAB);
+  log(`✅ Fetched ${data.length} projects`);
+  validateRows(report, WORK_TAB, data, WORK_TAB_SCHEMA);
+
+  // Map Google Sheets columns to our field names (see columns.work in
+  // site.config.mjs)
+  const projects = data.map((row, index) => {
+    const project = {
+      ...Object.fromEntries(
+        Object.entries(WORK_COLUMNS).map(([field, headers]) => [
+          field,
+          cellValue(row, headers),
+        ])
+      ),
+      media: collectMedia(row),
+    };
+    project.slug = projectSlug(project, index);
+    // Publishing columns (see lib/publishing.js); a status that can't be read
+    // keeps the project out of production
+    project.order = parseOrder(project.order);
+    project.featured = parseFlag(project.featured) ?? false;
+    project.status = parseStatus(project.status) ?? "draft";
+    project.publishDate = parseSheetDate(project.publishDate);
+    return project;
+  });
+  checkUniqueSlugs(report, data, projects);
+  return projects;
+}
 
-  // Check for image formats
-  if (buffer.slice(0, 2).toString("hex") === "ffd8") return ".jpg";
-  if (buffer.slice(0, 8).toString("hex") === "89504e470d0a1a0a") return ".png";
-  if (
-    buffer.slice(0, 6).toString() === "GIF87a" ||
-    buffer.slice(0, 6).toString() === "GIF89a"
-  )
-    return ".gif";
-  if (
-    buffer.slice(0, 4).toString() === "RIFF" &&
-    buffer.slice(8, 12).toString() === "WEBP"
-  )
-    return ".webp";
-
-  // If we can't detect, check file size and content
-  // Large files (>1MB) are likely videos if they're not images
-  if (buffer.length > 1024 * 1024) {
-    console.log(
-      `🔍 Large file detected (${(buffer.length / 1024 / 1024).toFixed(
-        1
-      )}MB), assuming video format`
+// Report projects that would get the same page URL. Later ones get a
+// numbered slug (e.g. "alpha-project-2") so no project overwrites another on
+// the site when strict mode is off.
+function checkUniqueSlugs(report, rows, projects) {
+  const seen = new Map();
+  const taken = new Set(projects.map((project) => project.slug));
+  projects.forEach((project, index) => {
+    const row = sheetRow(index);
+    if (!seen.has(project.slug)) {
+      seen.set(project.slug, row);
+      return;
+    }
+    let suffix = 2;
+    while (taken.has(`${project.slug}-${suffix}`)) suffix++;
+    const slug = `${project.slug}-${suffix}`;
+    taken.add(slug);
+
+    const slugCell = cellValue(rows[index], WORK_COLUMNS.slug);
+    const url = `/projects/${project.slug}`;
+    report.error(
+      WORK_TAB,
+      row,
+      slugCell ? WORK_COLUMNS.slug[0] : WORK_COLUMNS.projectName[0],
+      `"${slugCell || project.projectName}" gets the same page URL (${url}) ` +
+        `as row ${seen.get(project.slug)}, so it is published at /projects/${slug}`
     );
-    return ".mp4";
+    project.slug = slug;
+    seen.set(slug, row);
+  });
+}
+
+// Value of the first of a field's accepted headers that is filled in
+function cellValue(row, headers) {
+  for (const header of headers) {
+    if (row[header]) return row[header];
   }
+  return "";
+}
 
-  // Default fallback - be more conservative about defaulting to .jpg
-  // If we can't detect the type, assume it might be a video if the file is large
-  const bufferSize = buffer.length;
-  if (bufferSize > 10000) {
-    // If file is larger than 10KB, it's likely not an HTML error page
-    // Check if this might be a video based on common video patterns
-    const bufferStr = buffer.toString("hex", 0, Math.min(100, bufferSize));
-    if (
-      bufferStr.includes("66747970") || // 'ftyp' in hex (common in video files)
-      bufferStr.includes("6d6f6f76") || // 'moov' in hex
-      bufferStr.includes("6d646174")
-    ) {
-      // 'mdat' in hex
-      return ".mp4";
+// Regex alternation matching any of a field's accepted headers
+function headerPattern(headers) {
+  return `(?:${headers
+    .map((header) => header.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"))
+    .join("|")})`;
+}
+
+// Work media columns are numbered from 1 with no upper limit. Older sheets
+// spell them "Work Image N" and "DescriptionN (Optional)".
+const MEDIA_PREFIX = headerPattern(MEDIA_COLUMNS.prefix);
+const MEDIA_COLUMN = new RegExp(`^${MEDIA_PREFIX} (\\d+)$`, "i");
+const MEDIA_DESCRIPTION_COLUMN = new RegExp(
+  `^${MEDIA_PREFIX} (\\d+) ${headerPattern(MEDIA_COLUMNS.description)}$`,
+  "i"
+);
+const LEGACY_DESCRIPTION_COLUMN = /^Description ?(\d+) \(Optional\)$/i;
+const MEDIA_ALT_COLUMN = new RegExp(
+  `^${MEDIA_PREFIX} (\\d+) ${headerPattern(MEDIA_COLUMNS.alt)}$`,
+  "i"
+);
+
+// Collect the numbered media columns of a Work row, ordered by number.
+// `slot` is the column number, used to name the downloaded file, and
+// `column` the header, used in validation messages.
+function collectMedia(row) {
+  const slots = new Map();
+  const slot = (number) => {
+    if (!slots.has(number)) slots.set(number, {});
+    return slots.get(number);
+  };
+
+  for (const [column, value] of Object.entries(row)) {
+    const name = column.trim();
+    const text = typeof value === "string" ? value.trim() : "";
+    let match;
+    if ((match = name.match(MEDIA_COLUMN))) {
+      Object.assign(slot(Number(match[1])), { src: text, column });
+    } else if ((match = name.match(MEDIA_DESCRIPTION_COLUMN))) {
+      slot(Number(match[1])).description = text;
+    } else if ((match = name.match(LEGACY_DESCRIPTION_COLUMN))) {
+      slot(Number(match[1])).legacyDescription = text;
+    } else if ((match = name.match(MEDIA_ALT_COLUMN))) {
+      slot(Number(match[1])).alt = text;
     }
   }
 
-  // For very small files, check if it's HTML (error page)
-  if (bufferSize < 5000) {
-    const textContent = buffer.toString("ascii", 0, Math.min(100, bufferSize));
-    if (textContent.includes("<html>") || textContent.includes("<!DOCTYPE")) {
-      throw new Error(
-        "Downloaded file appears to be an HTML error page, not media content"
-      );
-    }
+  return [...slots.entries()]
+    .filter(([, item]) => item.src)
+    .sort(([a], [b]) => a - b)
+    .map(([number, item]) => ({
+      slot: number,
+      column: item.column,
+      src: item.src,
+      description: item.description || item.legacyDescription || "",
+      alt: item.alt || "",
+    }));
+}
+
+// Media type the detail page renders for a src (after download). The sniffed
+// MIME type wins over the extension.
+function mediaTypeOf(src, mime = null) {
+  if (/(?:youtube\.com|youtu\.be)\//i.test(src)) return "youtube";
+  if (/vimeo\.com\//i.test(src)) return "vimeo";
+  const kind = mediaKind(mime);
+  if (kind) return kind;
+  const extension = path.extname(src.split(/[?#]/)[0]).slice(1).toLowerCase();
+  if (IMAGE_EXTENSIONS.has(extension)) return "image";
+  if (VIDEO_EXTENSIONS.has(extension) || extension === "avi") return "video";
+  if (AUDIO_EXTENSIONS.has(extension)) return "audio";
+  if (extension === "pdf") return "document";
+  return "unknown";
+}
+
+// Problem with a media cell, or null when a provider handles it or it is a
+// path on the site
+function checkMediaCell(value) {
+  if (value.startsWith("/") || mediaRef(value)) return null;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return `"${value}" is not a URL, a /site/path or a file in the local media folder (${path.relative(
+      process.cwd(),
+      LOCAL_MEDIA_DIR
+    )})`;
+  }
+  if (!/^https?:$/.test(url.protocol)) {
+    return `"${value}" is not an http(s) URL`;
+  }
+  if (
+    /(^|\.)(drive|docs)\.google\.com$/.test(url.hostname) &&
+    !extractDriveFileId(value)
+  ) {
+    return "is a Google Drive link without a file ID (use the file's share link)";
   }
+  if (/(^|\.)dropbox\.com$/.test(url.hostname)) {
+    return "is a Dropbox link but not a file share link (use Share → Copy link)";
+  }
+  return `"${value}" is not a link to a media file (Drive, Dropbox, YouTube, Vimeo or a direct https:// file URL)`;
+}
+
+// Column rules for the Work tab (see lib/validate.js)
+const WORK_TAB_SCHEMA = [
+  {
+    name: WORK_COLUMNS.projectName,
+    required: true,
+    check: (value) =>
+      slugify(value) ? null : "has no letters or digits to build a URL from",
+  },
+  {
+    name: WORK_COLUMNS.slug,
+    level: "warning",
+    check: (value) => {
+      const slug = slugify(value);
+      if (!slug) {
+        return "has no letters or digits, the page URL comes from the project name";
+      }
+      return slug === value ? null : `is used as "${slug}"`;
+    },
+  },
+  {
+    name: WORK_COLUMNS.year,
+    pattern: /^\d{4}(\s*[-–]\s*(\d{4}|present))?$/i,
+    message: "expected a year like 2024 or 2022-2024",
+    level: "warning",
+  },
+  { name: WORK_COLUMNS.shortDescription, recommended: true },
+  {
+    name: WORK_COLUMNS.thumbnailImage,
+    recommended: true,
+    check: checkMediaCell,
+  },
+  { match: MEDIA_COLUMN, check: checkMediaCell },
+  {
+    name: WORK_COLUMNS.order,
+    check: (value) => (parseOrder(value) === null ? "expected a number" : null),
+    level: "warning",
+  },
+  {
+    name: WORK_COLUMNS.featured,
+    check: (value) =>
+      parseFlag(value) === null ? "expected Yes or No, treated as No" : null,
+    level: "warning",
+  },
+  {
+    name: WORK_COLUMNS.status,
+    check: (value) =>
+      parseStatus(value) === null
+        ? "expected Draft, Published or Unlisted, treated as Draft"
+        : null,
+  },
+  {
+    name: WORK_COLUMNS.publishDate,
+    check: (value) =>
+      parseSheetDate(value) === null
+        ? "expected a date like 2024-03-05, ignored"
+        : null,
+    level: "warning",
+  },
+];
 
-  console.log(`⚠️ Could not detect file type, defaulting to .jpg`);
-  return ".jpg";
+// Column rules for the Home Page tab; carousel items link to Work projects
+function homePageSchema(projects) {
+  const slugs = new Set(
+    projects.flatMap((project, index) => [
+      projectSlug(project, index),
+      slugify(project.projectName),
+    ])
+  );
+  const drafts = new Set(
+    projects
+      .filter((project) => project.status === "draft")
+      .flatMap((project) => [
+        projectSlug(project),
+        slugify(project.projectName),
+      ])
+  );
+  return [
+    { name: HOME_COLUMNS.media, required: true, check: checkMediaCell },
+    {
+      name: HOME_COLUMNS.project,
+      level: "warning",
+      check: (value) => {
+        if (!slugs.has(slugify(value))) {
+          return `"${value}" doesn't match a project in the ${WORK_TAB} tab, so the carousel item won't link anywhere`;
+        }
+        if (drafts.has(slugify(value))) {
+          return `"${value}" is a draft, so the carousel item won't link anywhere until it's published`;
+        }
+        return null;
+      },
+    },
+  ];
 }
 
-function createSafeFilename(
-  projectName,
-  fieldName,
-  originalUrl,
-  tempExtension = ".tmp"
-) {
-  const fileId = extractDriveFileId(originalUrl);
-  const safeName = projectName
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "");
+// Sections whose rows need a Text or a Link cell to show anything
+const ABOUT_NEEDS = {
+  bio: "text",
+  contact: "link",
+  client: "text",
+  experience: "text",
+  image: "link",
+};
+
+// Rules for the About Page tab. Rows the page can't use are reported as
+// warnings; the page leaves them out.
+function aboutPageSchema() {
+  const sectionNames = Object.values(ABOUT_SECTIONS)
+    .map((names) => names[0])
+    .join(", ");
+  return [
+    {
+      name: ABOUT_COLUMNS.section,
+      recommended: true,
+      level: "warning",
+      check: (value, row) => {
+        const section = aboutSection(value);
+        if (!section) {
+          return `"${value}" is not one of ${sectionNames}, so the row is left out`;
+        }
+        const needed = ABOUT_COLUMNS[ABOUT_NEEDS[section]];
+        if (!cellValue(row, needed).trim()) {
+          return `${value} rows need a "${needed[0]}", so the row is left out`;
+        }
+        return null;
+      },
+    },
+    {
+      name: ABOUT_COLUMNS.link,
+      check: (value, row) => {
+        if (isProfileImageCell(row, ABOUT_COLUMNS.link[0])) {
+          return checkMediaCell(value);
+        }
+        return SITE_LINK.test(aboutHref(value))
+          ? null
+          : `"${value}" is not a URL, an email address or a /site/path`;
+      },
+    },
+  ];
+}
 
-  return `${safeName}-${fieldName}-${fileId}${tempExtension}`;
+// Is `key` the Link cell of a Profile Image row? Other About Page links
+// (contacts, clients) stay links.
+function isProfileImageCell(row, key) {
+  return (
+    ABOUT_COLUMNS.link.includes(key.trim()) &&
+    aboutSection(cellValue(row, ABOUT_COLUMNS.section)) === "image"
+  );
 }
 
-// Download file with redirect handling
-async function downloadFile(url, filepath, retries = 2, fileId = null) {
-  // Extract fileId from URL if not provided
-  if (!fileId) {
-    fileId = extractDriveFileId(url);
+// Rules for the Site Settings tab. Rows the site can't use are reported as
+// warnings and ignored; values that would stop `astro build` are errors.
+function siteSettingsSchema() {
+  const settingNames = Object.values(SETTINGS).join(", ");
+  const [valueColumn] = SETTINGS_COLUMNS.value;
+  const [labelColumn] = SETTINGS_COLUMNS.label;
+  return [
+    {
+      name: SETTINGS_COLUMNS.setting,
+      recommended: true,
+      level: "warning",
+      check: (value, row) => {
+        const key = settingKey(value);
+        if (!key) {
+          return `"${value}" is not one of ${settingNames}, so the row is ignored`;
+        }
+        if (!cellValue(row, SETTINGS_COLUMNS.value).trim()) {
+          return `${value} has no "${valueColumn}", so the row is ignored`;
+        }
+        if (
+          LINK_SETTINGS.includes(key) &&
+          !cellValue(row, SETTINGS_COLUMNS.label).trim()
+        ) {
+          return `${value} rows need a "${labelColumn}", so the row is ignored`;
+        }
+        return null;
+      },
+    },
+    {
+      name: SETTINGS_COLUMNS.value,
+      level: "warning",
+      check: (value, row) => {
+        const key = settingKey(cellValue(row, SETTINGS_COLUMNS.setting));
+        const problem = key && settingProblem(key, value);
+        return problem ? `${problem}, so the row is ignored` : null;
+      },
+    },
+  ];
+}
+
+// Report message for a cell whose file could not be synced
+function downloadFailed(reason) {
+  return `could not be downloaded (${reason}), the page would link to the remote file`;
+}
+
+// Warn about synced files most browsers can't show
+function reportLimitedSupport(report, tab, row, column, meta) {
+  const format = LIMITED_SUPPORT[meta?.mime];
+  if (format) {
+    report.warn(tab, row, column, `is ${format}, most browsers can't show it`);
   }
+}
+
+// Write generated JSON, creating the directory if needed
+function writeJson(outputFile, data) {
+  const outDir = path.dirname(outputFile);
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify(data, null, 2));
+}
+
+// Generic fetcher for a sheet tab by name
+async function fetchSheetTab(source, tabName) {
+  log(`📊 Fetching sheet tab: ${tabName} -> ${source.description}`);
+
+  const data = await source.fetchTab(tabName);
+  log(`✅ Fetched ${data.length} rows from tab: ${tabName}`);
+  return data;
+}
+
+// Public URL for a file in the assets directory
+function publicAssetPath(filename) {
+  return `${ASSETS_URL}/${filename}`;
+}
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
+// Width/height and responsive sources for an image asset. Derivatives are
+// regenerated only when the source file's hash changes or files are missing.
+async function ensureImageMeta(entry) {
+  const current = entry.image;
+  const upToDate =
+    current &&
+    current.sha256 === entry.sha256 &&
+    current.files.every((file) => fs.existsSync(path.join(DERIVED_DIR, file)));
+
+  if (!upToDate) {
     try {
-      console.log(
-        `📥 Downloading (${attempt}/${retries}): ${path.basename(filepath)}`
+      const derived = await createDerivatives(
+        path.join(ASSETS_DIR, entry.filename),
+        DERIVED_DIR,
+        DERIVED_URL
+      );
+      entry.image = { sha256: entry.sha256, ...derived };
+      debug(`🖼️  ${entry.filename}: ${derived.files.length} derivatives`);
+    } catch (error) {
+      logWarning(
+        `⚠️  Could not create image derivatives for ${entry.filename}: ${error.message}`
       );
+      return null;
+    }
+  }
 
-      const _finalPath = await new Promise((resolve, reject) => {
-        const file = fs.createWriteStream(filepath);
-        let firstChunk = true;
-        let fileBuffer = Buffer.alloc(0);
-
-        const request = https.get(url, (response) => {
-          // Handle all redirect types
-          if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
-            const redirectUrl = response.headers.location;
-            console.log(
-              `🔄 HTTP ${response.statusCode} → ${redirectUrl.substring(
-                0,
-                80
-              )}...`
-            );
-            file.destroy();
-            downloadFile(redirectUrl, filepath, retries, fileId)
-              .then(resolve)
-              .catch(reject);
-            return;
-          }
+  const { width, height, sources, fallback } = entry.image;
+  return { width, height, sources, fallback };
+}
 
-          if (response.statusCode !== 200) {
-            file.destroy();
-            reject(
-              new Error(
-                `HTTP ${response.statusCode}: ${response.statusMessage}`
-              )
-            );
-            return;
-          }
+// Duration, size, audio track and poster frame of a video asset. The probe
+// runs again only when the file's hash changes or the poster went missing.
+function ensureVideoMeta(entry) {
+  const current = entry.video;
+  const upToDate =
+    current &&
+    current.sha256 === entry.sha256 &&
+    (current.poster || !hasFfmpeg()) &&
+    current.files.every((file) => fs.existsSync(path.join(DERIVED_DIR, file)));
+
+  if (!upToDate) {
+    const filepath = path.join(ASSETS_DIR, entry.filename);
+    let probed;
+    try {
+      probed = probeVideo(filepath);
+    } catch (error) {
+      logWarning(
+        `⚠️  Could not read video metadata for ${entry.filename}: ${error.message}`
+      );
+      return null;
+    }
 
-          // Extract filename from Content-Disposition header
-          let originalFilename = null;
-          const contentDisposition = response.headers["content-disposition"];
-          if (contentDisposition) {
-            const filenameMatch = contentDisposition.match(
-              /filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/
-            );
-            if (filenameMatch && filenameMatch[1]) {
-              originalFilename = filenameMatch[1].replace(/['"]/g, "");
-              console.log(`📄 Original filename: ${originalFilename}`);
-            }
-          }
+    // Poster frames need ffmpeg; without it the browser shows the first frame
+    const files = [];
+    let poster = null;
+    const posterName = `${path.basename(
+      entry.filename,
+      path.extname(entry.filename)
+    )}-poster.jpg`;
+    if (!fs.existsSync(DERIVED_DIR))
+      fs.mkdirSync(DERIVED_DIR, { recursive: true });
+    if (
+      extractPoster(filepath, path.join(DERIVED_DIR, posterName), {
+        duration: probed.duration,
+      })
+    ) {
+      files.push(posterName);
+      poster = `${DERIVED_URL}/${posterName}`;
+    }
 
-          let totalSize = 0;
-
-          response.on("data", (chunk) => {
-            totalSize += chunk.length;
-
-            // Check file size limit
-            if (totalSize > MAX_FILE_SIZE) {
-              file.destroy();
-              fs.unlink(filepath, () => {});
-              reject(
-                new Error(
-                  `File too large: ${(totalSize / 1024 / 1024).toFixed(
-                    1
-                  )}MB exceeds ${MAX_FILE_SIZE / 1024 / 1024}MB limit`
-                )
-              );
-              return;
-            }
-
-            if (firstChunk && fileBuffer.length < 1024) {
-              fileBuffer = Buffer.concat([fileBuffer, chunk]);
-              firstChunk = false;
-            }
-            file.write(chunk);
-          });
-
-          response.on("end", () => {
-            file.end();
-          });
-
-          file.on("finish", () => {
-            file.close();
-
-            // Read the file to detect its actual type
-            const fileBuffer = fs.readFileSync(filepath);
-
-            // Check if file is HTML (failed download or virus warning)
-            const fileContent = fileBuffer.toString(
-              "utf8",
-              0,
-              Math.min(1000, fileBuffer.length)
-            );
-            if (
-              fileContent.includes("<html") ||
-              fileContent.includes("<!DOCTYPE") ||
-              fileContent.includes("<title>")
-            ) {
-              console.log(
-                `⚠️  Got HTML response, checking for virus scan warning...`
-              );
+    entry.video = { sha256: entry.sha256, ...probed, poster, files };
+    debug(
+      `🎞️  ${entry.filename}: ${probed.width}x${probed.height}, ${probed.duration}s, ${
+        probed.hasAudio ? "with" : "no"
+      } audio`
+    );
+  }
 
-              // Check for Google Drive virus scan warning
-              if (
-                fileContent.includes("virus scan warning") ||
-                fileContent.includes("Google Drive can't scan this file")
-              ) {
-                console.log(`🔄 Handling Google Drive virus scan warning...`);
+  const { duration, width, height, aspectRatio, hasAudio, poster } =
+    entry.video;
+  return { duration, width, height, aspectRatio, hasAudio, poster };
+}
 
-                // Extract the direct download URL from the HTML form
-                const confirmMatch = fileContent.match(
-                  /name="confirm"\s+value="([^"]+)"/
-                );
-                const uuidMatch = fileContent.match(
-                  /name="uuid"\s+value="([^"]+)"/
-                );
+// Media metadata for a synced asset by file type, plus its MIME type
+async function ensureMediaMeta(entry) {
+  let meta = null;
+  if (IMAGE_EXTENSIONS.has(entry.type)) meta = await ensureImageMeta(entry);
+  else if (VIDEO_EXTENSIONS.has(entry.type)) meta = ensureVideoMeta(entry);
+  return entry.mime ? { ...meta, mime: entry.mime } : meta;
+}
 
-                if (confirmMatch && uuidMatch) {
-                  const confirmValue = confirmMatch[1];
-                  const uuidValue = uuidMatch[1];
-                  const directUrl = `https://drive.usercontent.google.com/download?id=${fileId}&export=download&confirm=${confirmValue}&uuid=${uuidValue}`;
-
-                  console.log(`🔄 Retrying with direct download URL...`);
-                  fs.unlinkSync(filepath);
-
-                  // Retry download with the direct URL
-                  downloadFile(directUrl, filepath, 1, fileId)
-                    .then(resolve)
-                    .catch(reject);
-                  return;
-                } else {
-                  console.log(
-                    `⚠️  Could not extract confirm/uuid values from virus warning page`
-                  );
-                  console.log(
-                    `HTML content sample: ${fileContent.substring(0, 300)}...`
-                  );
-                }
-              }
+// Metadata for a video that already lives in public/ (e.g. "/videos/Milk.mp4").
+// These files aren't tracked by the manifest, so no poster is generated.
+function localVideoMeta(value) {
+  const extension = path.extname(value).slice(1).toLowerCase();
+  if (!value.startsWith("/") || !VIDEO_EXTENSIONS.has(extension)) return null;
 
-              console.error(
-                `❌ Downloaded HTML instead of media file. Google Drive may have restricted access.`
-              );
-              fs.unlinkSync(filepath);
-              reject(new Error("Downloaded HTML instead of media file"));
-              return;
-            }
-
-            // Use original filename if available, otherwise detect file type
-            let finalFilepath = filepath;
-
-            if (originalFilename) {
-              const originalExt = path.extname(originalFilename);
-              if (originalExt) {
-                const newFilepath = filepath.replace(
-                  path.extname(filepath),
-                  originalExt
-                );
-                if (newFilepath !== filepath) {
-                  fs.renameSync(filepath, newFilepath);
-                  finalFilepath = newFilepath;
-                  console.log(`🔄 Renamed to: ${path.basename(finalFilepath)}`);
-                }
-              }
-            } else {
-              // Fallback to file type detection
-              const detectedExt = detectFileType(fileBuffer);
-              const currentExt = path.extname(filepath);
-
-              if (currentExt !== detectedExt) {
-                const newFilepath = filepath.replace(currentExt, detectedExt);
-                fs.renameSync(filepath, newFilepath);
-                finalFilepath = newFilepath;
-                console.log(
-                  `🔍 Detected and renamed to: ${path.basename(finalFilepath)}`
-                );
-              }
-            }
+  const filepath = path.join(PUBLIC_DIR, decodeURI(value));
+  if (!filepath.startsWith(PUBLIC_DIR) || !fs.existsSync(filepath)) return null;
 
-            const stats = fs.statSync(finalFilepath);
-            console.log(
-              `✅ Downloaded: ${path.basename(finalFilepath)} (${(
-                stats.size / 1024
-              ).toFixed(1)}KB)`
-            );
-            resolve(finalFilepath);
-          });
-
-          file.on("error", (err) => {
-            file.destroy();
-            fs.unlink(filepath, () => {});
-            reject(err);
-          });
-        });
-
-        request.on("error", reject);
-        request.setTimeout(60000, () => {
-          request.destroy();
-          reject(new Error("Download timeout (60s)"));
-        });
-      });
+  try {
+    return {
+      ...probeVideo(filepath),
+      poster: null,
+      mime: sniffFile(filepath)?.mime,
+    };
+  } catch (error) {
+    logWarning(
+      `⚠️  Could not read video metadata for ${value}: ${error.message}`
+    );
+    return null;
+  }
+}
 
-      return _finalPath || filepath; // Success - prefer final path returned from promise
-    } catch (error) {
-      console.error(`❌ Attempt ${attempt} failed:`, error.message);
-      if (attempt === retries) throw error;
+// Make sure the file referenced by one sheet cell (`ref` from mediaRef) is
+// available locally. The manifest decides whether to skip, rename, copy, adopt
+// or download; downloads go through the shared queue. Returns `{ src, meta }`
+// with the public path and media metadata, or `{ error }` with the reason
+// when the asset could not be synced.
+async function syncAsset(context, { tab, row, rowName, field, url, ref }) {
+  const { manifest, queue, inflight, stats, actions } = context;
+  const fileId = ref.id;
+  const key = AssetManifest.key(tab, row, field);
+  const baseName = createSafeFilename(rowName, field, fileId, "");
+  const previous = manifest.get(key);
+
+  let plan = await manifest.plan(key, fileId, baseName, {
+    verifyHash: VERIFY_HASHES,
+  });
+  if (context.force && plan.action === "skip") {
+    plan = { action: "download", reason: "forced" };
+  }
+  // Files in the local media folder keep their ID when edited in place
+  if (ref.mode === "copy" && plan.action === "skip") {
+    const stat = fs.statSync(ref.path);
+    if (
+      stat.size !== plan.entry.size ||
+      stat.mtimeMs > Date.parse(plan.entry.updatedAt)
+    ) {
+      plan = { action: "download", reason: "changed in media folder" };
+    }
+  }
 
-      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+  // Files saved under the wrong extension before types were sniffed
+  if (plan.action === "skip") {
+    const current = plan.entry.filename;
+    const sniffed = sniffFile(path.join(ASSETS_DIR, current));
+    // Entries recorded before MIME types were sniffed
+    plan.entry.mime ??= sniffed?.mime ?? null;
+    if (sniffed && !matchesExtension(path.extname(current), sniffed)) {
+      plan = {
+        action: "rename",
+        entry: plan.entry,
+        from: current,
+        reason: `${sniffed.mime} saved as ${path.extname(current)}`,
+      };
     }
   }
-}
 
-// Fetch project data from Google Sheets
-async function fetchProjectData() {
-  console.log("📊 Fetching project data from Google Sheets...");
+  // Another slot is already downloading the same file: wait and copy it
+  if (plan.action === "download" && inflight.has(fileId)) {
+    plan = { action: "copy", pending: inflight.get(fileId) };
+  }
 
-  const response = await fetch(OPENSHEET_URL);
-  if (!response.ok) {
-    throw new Error(
-      `Failed to fetch project data: ${response.status} ${response.statusText}`
-    );
+  if (plan.action !== "skip") {
+    actions.push({
+      tab,
+      row,
+      field,
+      action: plan.action,
+      ...(plan.reason && { reason: plan.reason }),
+      ...(plan.from && { from: plan.from }),
+      provider: ref.provider,
+      fileId,
+    });
   }
 
-  const data = await response.json();
-  console.log(`✅ Fetched ${data.length} projects`);
-
-  // Map Google Sheets columns to our field names
-  return data.map((row) => ({
-    projectName: row["Project Name"] || "",
-    year: row["Year"] || "",
-    categories: row["Categories"] || "",
-    shortDescription: row["Short Description"] || "",
-    role: row["Role"] || "",
-    description: row["Description (Optional)"] || "",
-    credit: row["Credit"] || "",
-    heroMoment: row["Hero Moment"] || "",
-    thumbnailImage: row["Thumbnail Image"] || "",
-    workImage1: row["Work Image/Video 1"] || "",
-    workImage1Description:
-      row["Work Image/Video 1 Description"] ||
-      row["Work Image 1 Description"] ||
-      row["Description1 (Optional)"] ||
-      "",
-    workImage2: row["Work Image/Video 2"] || "",
-    workImage2Description:
-      row["Work Image/Video 2 Description"] ||
-      row["Work Image 2 Description"] ||
-      row["Description2 (Optional)"] ||
-      "",
-    workImage3: row["Work Image/Video 3"] || "",
-    workImage3Description:
-      row["Work Image/Video 3 Description"] ||
-      row["Work Image 3 Description"] ||
-      row["Description3 (Optional)"] ||
-      "",
-    workImage4: row["Work Image/Video 4"] || "",
-    workImage4Description:
-      row["Work Image/Video 4 Description"] ||
-      row["Work Image 4 Description"] ||
-      row["Description4 (Optional)"] ||
-      "",
-    workImage5: row["Work Image/Video 5"] || "",
-    workImage5Description:
-      row["Work Image/Video 5 Description"] ||
-      row["Work Image 5 Description"] ||
-      row["Description5 (Optional)"] ||
-      "",
-    workImage6: row["Work Image/Video 6"] || "",
-    workImage6Description:
-      row["Work Image/Video 6 Description"] ||
-      row["Work Image 6 Description"] ||
-      row["Description6 (Optional)"] ||
-      "",
-    workImage7: row["Work Image/Video 7"] || "",
-    workImage7Description:
-      row["Work Image/Video 7 Description"] ||
-      row["Work Image 7 Description"] ||
-      row["Description7 (Optional)"] ||
-      "",
-    workImage8: row["Work Image/Video 8"] || "",
-    workImage8Description:
-      row["Work Image/Video 8 Description"] ||
-      row["Work Image 8 Description"] ||
-      row["Description8 (Optional)"] ||
-      "",
-    workImage9: row["Work Image/Video 9"] || "",
-    workImage9Description:
-      row["Work Image/Video 9 Description"] ||
-      row["Work Image 9 Description"] ||
-      "",
-    workImage10: row["Work Image/Video 10"] || "",
-    workImage10Description:
-      row["Work Image/Video 10 Description"] ||
-      row["Work Image 10 Description"] ||
-      "",
-  }));
-}
-
-// Generic fetcher for an OpenSheet tab by name
-async function fetchSheetTab(tabName) {
-  const url = `${BASE_OPENSHEET_URL}/${encodeURIComponent(tabName)}`;
-  console.log(`📊 Fetching sheet tab: ${tabName} -> ${url}`);
-
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(
-      `Failed to fetch sheet tab ${tabName}: ${response.status} ${response.statusText}`
-    );
+  // Dry run: report the plan, keep the slot's current file (if any)
+  if (context.dryRun) {
+    if (!inflight.has(fileId)) inflight.set(fileId, Promise.resolve(null));
+    manifest.touch(key);
+    if (plan.action === "skip") {
+      stats.skipped++;
+    } else {
+      const reason = plan.reason ? ` (${plan.reason})` : "";
+      log(`🔎 ${key}: would ${plan.action}${reason}`);
+    }
+    return {
+      src: plan.entry ? publicAssetPath(plan.entry.filename) : url,
+      meta: null,
+    };
   }
-  const data = await response.json();
-  if (!Array.isArray(data)) {
-    throw new Error(`Expected array from sheet tab ${tabName}`);
+
+  // Produce the final file for this slot
+  const produce = async () => {
+    switch (plan.action) {
+      case "rename":
+      case "copy": {
+        const source = plan.pending ? await plan.pending : plan.from;
+        const from = path.join(ASSETS_DIR, source);
+        const filename = baseName + sniffedExtension(from);
+        const to = path.join(ASSETS_DIR, filename);
+        if (from !== to) {
+          if (plan.action === "rename") fs.renameSync(from, to);
+          else fs.copyFileSync(from, to);
+          debug(`🔄 ${field}: ${plan.action} ${source} → ${filename}`);
+        }
+        return filename;
+      }
+      case "adopt": {
+        debug(`📌 ${field}: adopting existing file ${plan.from}`);
+        const from = path.join(ASSETS_DIR, plan.from);
+        const filename = baseName + sniffedExtension(from);
+        if (filename !== plan.from) {
+          fs.renameSync(from, path.join(ASSETS_DIR, filename));
+        }
+        return filename;
+      }
+      default: {
+        if (ref.mode === "copy") {
+          const filename = baseName + sniffedExtension(ref.path);
+          debug(`📂 ${field}: copying ${ref.path} (${plan.reason})`);
+          fs.copyFileSync(ref.path, path.join(ASSETS_DIR, filename));
+          return filename;
+        }
+
+        debug(`📥 ${field}: downloading from ${ref.provider} (${plan.reason})`);
+        const filepath = path.join(ASSETS_DIR, `${baseName}.tmp`);
+        const finalPath = await queue.add(ref.url, (transfer) =>
+          downloadFile(ref.url, filepath, {
+            driveFileId: ref.provider === "drive" ? fileId : null,
+            onProgress: transfer.progress,
+          })
+        );
+        return path.basename(finalPath);
+      }
+    }
+  };
+
+  if (plan.action === "skip") {
+    manifest.touch(key);
+    stats.skipped++;
+    return {
+      src: publicAssetPath(plan.entry.filename),
+      meta: await ensureMediaMeta(plan.entry),
+    };
+  }
+
+  // Let other slots with the same file copy this one instead of
+  // downloading it again
+  const pending = produce();
+  if (!inflight.has(fileId)) inflight.set(fileId, pending);
+
+  try {
+    const filename = await pending;
+    const entry = await manifest.record(key, {
+      fileId,
+      provider: ref.provider,
+      tab,
+      row,
+      field,
+      url,
+      filename,
+      type: path.extname(filename).slice(1),
+      mime: sniffFile(path.join(ASSETS_DIR, filename))?.mime ?? null,
+    });
+
+    if (plan.action === "download") {
+      if (previous && previous.sha256 === entry.sha256) {
+        debug(`✔️  ${field}: content unchanged`);
+      }
+      stats.downloaded++;
+    } else {
+      stats.skipped++;
+    }
+    return {
+      src: publicAssetPath(entry.filename),
+      meta: await ensureMediaMeta(entry),
+    };
+  } catch (error) {
+    // Partial downloads stay in the staging directory for the next run
+    logError(`❌ Failed to sync ${tab}[${row}].${field}:`, error.message);
+    stats.errors++;
+    return { error: error.message };
+  } finally {
+    if (inflight.get(fileId) === pending) inflight.delete(fileId);
   }
-  console.log(`✅ Fetched ${data.length} rows from tab: ${tabName}`);
-  return data;
 }
 
-// Process a sheet tab and optionally download media fields (Google Drive links)
+// Process a sheet tab: validate it against `schema` and optionally download
+// media cells (any value a provider recognises, in the cells `mediaCells`
+// accepts). Returns the rows to save.
 async function processSheetTab(
+  source,
   tabName,
-  outputFile,
-  { downloadMedia = false } = {}
+  {
+    downloadMedia = false,
+    context = null,
+    schema = null,
+    mediaCells = () => true,
+    report,
+  } = {}
 ) {
   try {
-    const rows = await fetchSheetTab(tabName);
+    const rows = await fetchSheetTab(source, tabName);
+    if (schema) validateRows(report, tabName, rows, schema);
 
-    // Fields that likely contain media
-    const mediaKeyRegex = /video|media|asset|thumbnail|image/i;
+    // Queue every media cell, then wait for the whole tab
+    const pending = [];
 
     for (let i = 0; i < rows.length; i++) {
       const row = rows[i];
@@ -520,265 +1021,492 @@ async function processSheetTab(
       for (const key of Object.keys(row)) {
         const value = row[key];
         if (!value || typeof value !== "string") continue;
+        if (!mediaCells(row, key)) continue;
 
-        // If the key looks like media or the value looks like a drive url
-        if (mediaKeyRegex.test(key) || extractDriveFileId(value)) {
-          const fileId = extractDriveFileId(value);
-          if (fileId && downloadMedia) {
-            // Make a safe base name using tabName + index
-            const baseName = `${tabName
-              .toLowerCase()
-              .replace(/[^a-z0-9]+/g, "-")}-${i + 1}`;
-            const filename = createSafeFilename(baseName, key, value, ".tmp");
-            const filepath = path.join(ASSETS_DIR, filename);
-
-            // Skip if already downloaded
-            if (fs.existsSync(filepath)) {
-              const stats = fs.statSync(filepath);
-              if (stats.size > 0) {
-                row[key] = `/assets/projects/${path.basename(filepath)}`;
-                continue;
+        const ref = mediaRef(value);
+
+        // Embeds are stored in their normalised form
+        if (ref?.mode === "embed") {
+          row[key] = ref.src;
+          continue;
+        }
+
+        if (ref && downloadMedia && context) {
+          // Make a safe base name using tabName + index
+          const rowName = `${slugify(tabName)}-${i + 1}`;
+
+          pending.push(
+            syncAsset(context, {
+              tab: tabName,
+              row: rowName,
+              rowName,
+              field: key,
+              url: value,
+              ref,
+            }).then((synced) => {
+              // On failure leave the original value
+              if (synced.error) {
+                report.error(
+                  tabName,
+                  sheetRow(i),
+                  key,
+                  downloadFailed(synced.error)
+                );
+                return;
               }
-            }
-
-            try {
-              const downloadUrl = getDirectDownloadUrl(value);
-              const finalPath = await downloadFile(
-                downloadUrl,
-                filepath,
-                2,
-                fileId
-              );
-              const finalName = path.basename(finalPath);
-              row[key] = `/assets/projects/${finalName}`;
-            } catch (err) {
-              console.error(
-                `❌ Failed to download media for ${tabName}[${i}].${key}:`,
-                err.message
+              reportLimitedSupport(
+                report,
+                tabName,
+                sheetRow(i),
+                key,
+                synced.meta
               );
-              // leave original value
-            }
-          } else {
-            // Not a Drive URL or not downloading media: keep as-is
-          }
+              row[key] = synced.src;
+              if (synced.meta) {
+                row.mediaMeta = { ...row.mediaMeta, [key]: synced.meta };
+              }
+            })
+          );
+          continue;
+        }
+
+        // Videos already in public/ (e.g. "/videos/Milk.mp4")
+        const localMeta = localVideoMeta(value);
+        if (localMeta) {
+          row.mediaMeta = { ...row.mediaMeta, [key]: localMeta };
         }
       }
     }
 
-    // Ensure output directory exists
-    const outDir = path.dirname(outputFile);
-    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
-    fs.writeFileSync(outputFile, JSON.stringify(rows, null, 2));
-    console.log(`💾 Saved ${tabName} data to: ${outputFile}`);
+    await Promise.all(pending);
     return rows;
   } catch (error) {
-    console.error(`❌ Error processing sheet tab ${tabName}:`, error.message);
+    logError(`❌ Error processing sheet tab ${tabName}:`, error.message);
     throw error;
   }
 }
 
-// Function to sync project data with actual downloaded filenames
-async function syncFilenames(projects) {
-  console.log("\n🔄 Syncing filenames with downloaded assets...");
+// Does a Work project match one of the --project names (name or slug)?
+function matchesProject(project, names) {
+  return names.some(
+    (name) =>
+      name.trim().toLowerCase() === project.projectName.trim().toLowerCase() ||
+      slugify(name) === project.slug ||
+      slugify(name) === slugify(project.projectName)
+  );
+}
 
-  // Get list of all downloaded files
-  const downloadedFiles = fs.readdirSync(ASSETS_DIR);
-  console.log(`📂 Found ${downloadedFiles.length} downloaded files`);
+// Projects from the previous run, by slug (kept for projects not selected
+// with --project)
+function readPreviousProjects() {
+  if (!fs.existsSync(OUTPUT_FILE)) return new Map();
+  const previous = JSON.parse(fs.readFileSync(OUTPUT_FILE, "utf8"));
+  return new Map(
+    previous.map((project, index) => [projectSlug(project, index), project])
+  );
+}
 
-  let syncCount = 0;
+// Media IDs (see lib/providers.js) a project had in the previous run: the
+// manifest entries of its slots, plus embeds kept as links
+function previousMediaIds(manifest, slug, project) {
+  const ids = new Set(manifest.fileIdsForRow(WORK_TAB, slug));
+  const sources = [project.thumbnailImage, ...(project.media || [])];
+  for (const source of sources) {
+    const ref = mediaRef(typeof source === "string" ? source : source?.src);
+    if (ref) ids.add(ref.id);
+  }
+  return ids;
+}
 
-  for (const project of projects) {
-    const mediaFields = [
-      "thumbnailImage",
-      "workImage1",
-      "workImage2",
-      "workImage3",
-      "workImage4",
-      "workImage5",
-      "workImage6",
-      "workImage7",
-      "workImage8",
-      "workImage9",
-      "workImage10",
-    ];
-
-    for (const field of mediaFields) {
-      const currentPath = project[field];
-      if (!currentPath || !currentPath.includes(".tmp")) continue;
-
-      // Extract the base filename (without .tmp extension)
-      const baseName = path.basename(currentPath, ".tmp");
-
-      // Find matching downloaded file with any extension
-      const matchingFile = downloadedFiles.find((file) =>
-        file.startsWith(baseName)
-      );
+// Projects whose slug changed since the previous run (renamed, or given a
+// Slug), recognised by sharing media with a project that disappeared.
+// Returns [{ from, to }].
+function findRenamedProjects(projects, previous, manifest) {
+  const current = new Set(projects.map((project) => project.slug));
+  const gone = [...previous.keys()].filter((slug) => !current.has(slug));
+  const renames = [];
 
-      if (matchingFile) {
-        const newPath = `/assets/projects/${matchingFile}`;
-        console.log(
-          `🔄 ${field}: ${path.basename(currentPath)} → ${matchingFile}`
-        );
-        project[field] = newPath;
-        syncCount++;
-      } else {
-        console.warn(`⚠️  No matching file found for: ${currentPath}`);
-      }
+  for (const project of projects) {
+    if (gone.length === 0) break;
+    if (previous.has(project.slug)) continue;
+
+    const ids = [project.thumbnailImage, ...project.media.map((m) => m.src)]
+      .map((value) => mediaRef(value)?.id)
+      .filter(Boolean);
+    const from = gone.find((slug) => {
+      const previousIds = previousMediaIds(manifest, slug, previous.get(slug));
+      return ids.some((id) => previousIds.has(id));
+    });
+    if (from) {
+      renames.push({ from, to: project.slug });
+      gone.splice(gone.indexOf(from), 1);
     }
   }
-
-  console.log(`✅ Synced ${syncCount} filenames`);
+  return renames;
 }
 
-// Main processing function
-async function processAssets() {
-  try {
-    // Create assets directory
-    if (!fs.existsSync(ASSETS_DIR)) {
-      fs.mkdirSync(ASSETS_DIR, { recursive: true });
-      console.log(`📁 Created assets directory`);
+// Sync the media of the Work tab projects and return the projects to save
+async function processWorkTab(source, context, report, options) {
+  const projects = await fetchProjectData(source, report);
+  const selected =
+    options.projects.length > 0
+      ? projects.filter((project) => matchesProject(project, options.projects))
+      : projects;
+
+  for (const name of options.projects) {
+    if (!projects.some((project) => matchesProject(project, [name]))) {
+      throw new UsageError(
+        `No project in the ${WORK_TAB} tab matches "${name}"`
+      );
     }
+  }
 
-    // Fetch project data
-    const projects = await fetchProjectData();
-
-    let downloadCount = 0;
-    let skipCount = 0;
-    let errorCount = 0;
-
-    // Process each project
-    for (let i = 0; i < projects.length; i++) {
-      const project = projects[i];
-      const projectName = project.projectName || "untitled";
+  // Before syncing moves the media to the new slot names
+  const previous = readPreviousProjects();
+  const renames = findRenamedProjects(projects, previous, context.manifest);
+  for (const { from, to } of renames) {
+    log(`🔀 Project renamed: /projects/${from} → /projects/${to}`);
+  }
 
-      console.log(
-        `\n🎯 Processing (${i + 1}/${projects.length}): ${projectName}`
+  // Queue the media of every project, then wait for all of it
+  const pending = [];
+
+  for (const project of selected) {
+    const i = projects.indexOf(project);
+    const projectName = project.projectName || "untitled";
+    project.mediaMeta = {};
+
+    debug(`\n🎯 Processing (${i + 1}/${projects.length}): ${projectName}`);
+
+    // Sync one media cell; on failure the original URL is kept
+    const sync = (field, column, url, apply) => {
+      const ref = mediaRef(url);
+      if (ref?.mode === "embed") return apply({ src: ref.src, meta: null });
+      if (!ref) {
+        const meta = localVideoMeta(url);
+        if (meta) return apply({ src: url, meta });
+        if (!url.startsWith("/")) {
+          log(`⚠️  Skipping ${projectName} ${field}: no media provider`);
+        }
+        return;
+      }
+      pending.push(
+        syncAsset(context, {
+          tab: WORK_TAB,
+          row: project.slug,
+          rowName: project.slug,
+          field,
+          url,
+          ref,
+        }).then((synced) => {
+          if (synced.error) {
+            report.error(
+              WORK_TAB,
+              sheetRow(i),
+              column,
+              downloadFailed(synced.error)
+            );
+            return;
+          }
+          reportLimitedSupport(
+            report,
+            WORK_TAB,
+            sheetRow(i),
+            column,
+            synced.meta
+          );
+          apply(synced);
+        })
       );
+    };
 
-      // Fields that might contain Google Drive URLs
-      const mediaFields = [
+    if (project.thumbnailImage) {
+      sync(
         "thumbnailImage",
-        "workImage1",
-        "workImage2",
-        "workImage3",
-        "workImage4",
-        "workImage5",
-        "workImage6",
-        "workImage7",
-        "workImage8",
-        "workImage9",
-        "workImage10",
-      ];
-
-      for (const field of mediaFields) {
-        const url = project[field];
-        if (!url || typeof url !== "string") continue;
-
-        const fileId = extractDriveFileId(url);
-        if (!fileId) {
-          console.log(`⚠️  Skipping ${field}: Not a Google Drive URL`);
-          continue;
+        WORK_COLUMNS.thumbnailImage[0],
+        project.thumbnailImage,
+        (synced) => {
+          project.thumbnailImage = synced.src;
+          if (synced.meta) project.mediaMeta.thumbnailImage = synced.meta;
         }
+      );
+    }
 
-        const filename = createSafeFilename(projectName, field, url);
-        const filepath = path.join(ASSETS_DIR, filename);
-
-        // Check if a file with this pattern already exists (any extension)
-        const baseFilename = filename.replace(/\.[^.]*$/, ""); // Remove extension
-        const existingFiles = fs
-          .readdirSync(ASSETS_DIR)
-          .filter((file) => file.startsWith(baseFilename) && file !== filename);
-
-        if (existingFiles.length > 0) {
-          const existingFile = existingFiles[0];
-          const existingPath = path.join(ASSETS_DIR, existingFile);
-          const stats = fs.statSync(existingPath);
-          if (stats.size > 0) {
-            console.log(
-              `⏭️  Skipping ${field}: File already exists (${existingFile}, ${(
-                stats.size / 1024
-              ).toFixed(1)}KB)`
-            );
-            project[field] = `/assets/projects/${existingFile}`;
-            skipCount++;
-            continue;
-          }
-        }
+    // Media files keep the workImageN naming of the original fixed columns,
+    // so existing downloads are reused
+    for (const item of project.media) {
+      sync(`workImage${item.slot}`, item.column, item.src, (synced) => {
+        item.src = synced.src;
+        if (synced.meta) item.meta = synced.meta;
+      });
+    }
+  }
 
-        // Also check if exact filepath exists
-        if (fs.existsSync(filepath)) {
-          const stats = fs.statSync(filepath);
-          if (stats.size > 0) {
-            console.log(
-              `⏭️  Skipping ${field}: Already exists (${(
-                stats.size / 1024
-              ).toFixed(1)}KB)`
-            );
-            project[field] = `/assets/projects/${filename}`;
-            skipCount++;
-            continue;
-          }
-        }
+  await Promise.all(pending);
+
+  // Finish media items: drop the column number, fill in type and alt text
+  for (const project of selected) {
+    project.media = project.media.map((item, index) => ({
+      src: item.src,
+      description: item.description,
+      type: mediaTypeOf(item.src, item.meta?.mime),
+      alt:
+        item.alt ||
+        item.description ||
+        `${project.projectName} work sample ${index + 1}`,
+      ...(item.meta && { meta: item.meta }),
+    }));
+  }
 
-        try {
-          const downloadUrl = getDirectDownloadUrl(url);
-          await downloadFile(downloadUrl, filepath);
-
-          // Update project data with local path
-          project[field] = `/assets/projects/${filename}`;
-          downloadCount++;
-        } catch (error) {
-          console.error(`❌ Failed to download ${field}:`, error.message);
-          errorCount++;
-          // Keep the original URL if download fails
-        }
-      }
+  if (selected === projects) return { projects, selected, renames };
+
+  // Partial run: other projects keep the data of the previous run
+  const merged = projects.flatMap((project) => {
+    if (selected.includes(project)) return [project];
+    const kept = previous.get(project.slug);
+    if (!kept) {
+      logWarning(
+        `⚠️  ${project.projectName} has never been synced, leaving it out (run without --project)`
+      );
     }
+    return kept ? [kept] : [];
+  });
+  return { projects: merged, selected, renames };
+}
+
+// Main processing function. Returns a summary with the exit code.
+async function processAssets(source, options) {
+  const { dryRun } = options;
 
-    // Sync filenames with actual downloaded files
-    await syncFilenames(projects);
+  // Create assets directory
+  if (!dryRun && !fs.existsSync(ASSETS_DIR)) {
+    fs.mkdirSync(ASSETS_DIR, { recursive: true });
+    log(`📁 Created assets directory`);
+  }
 
-    // Save processed project data
-    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(projects, null, 2));
-    console.log(`\n💾 Saved project data to: ${OUTPUT_FILE}`);
+  const manifest = new AssetManifest(MANIFEST_FILE, ASSETS_DIR, {
+    derivedDir: DERIVED_DIR,
+  });
+  const stats = { downloaded: 0, skipped: 0, errors: 0 };
+  const queue = new DownloadQueue({
+    ...QUEUE_OPTIONS,
+    // Keep stdout clean for the --json summary
+    progressStream: options.json ? process.stderr : process.stdout,
+  });
+  progressLine = queue.progress;
+  const context = {
+    manifest,
+    queue,
+    inflight: new Map(),
+    stats,
+    actions: [],
+    dryRun,
+    force: options.force || REVALIDATE,
+  };
+  const report = new ValidationReport();
+  let complete = true;
+
+  // Generated JSON per output file, written once validation has passed
+  const outputs = [];
+  let selectedProjects = [];
+  const slugHistory = new SlugHistory(SLUG_HISTORY_FILE);
+  let renames = [];
+
+  if (options.tabs.includes(WORK_TAB)) {
+    const result = await processWorkTab(source, context, report, options);
+    outputs.push([OUTPUT_FILE, result.projects]);
+    selectedProjects = result.selected.map((project) => project.projectName);
+    renames = result.renames;
+    for (const { from, to } of renames) slugHistory.rename(from, to);
+    slugHistory.release(result.projects.map((project) => project.slug));
+  }
 
-    // Also fetch and process Home Page and About Page tabs
+  // Also fetch and process Home Page and About Page tabs
+  if (options.tabs.includes(HOME_PAGE_TAB)) {
     try {
-      // Home Page: download media assets (videos) and save local paths
-      await processSheetTab(HOME_PAGE_TAB, OUTPUT_HOME_FILE, {
+      // Home Page: download media assets (videos) and save local paths.
+      // Carousel items are checked against the projects written this run.
+      const projects = outputs[0]?.[1] || [...readPreviousProjects().values()];
+      const rows = await processSheetTab(source, HOME_PAGE_TAB, {
         downloadMedia: true,
+        context,
+        schema: homePageSchema(projects),
+        report,
       });
+      outputs.push([OUTPUT_HOME_FILE, rows]);
     } catch (err) {
-      console.warn(`⚠️  Unable to fully process Home Page tab: ${err.message}`);
+      complete = false;
+      logWarning(
+        `⚠️  Unable to fully process Home Page tab: ${err.message}`
+      );
     }
+  }
 
+  if (options.tabs.includes(ABOUT_PAGE_TAB)) {
     try {
-      // About Page: just save the JSON, no media downloads
-      await processSheetTab(ABOUT_PAGE_TAB, OUTPUT_ABOUT_FILE, {
-        downloadMedia: false,
+      // About Page: only the profile image is downloaded
+      const rows = await processSheetTab(source, ABOUT_PAGE_TAB, {
+        downloadMedia: true,
+        context,
+        schema: aboutPageSchema(),
+        mediaCells: isProfileImageCell,
+        report,
       });
+      outputs.push([OUTPUT_ABOUT_FILE, rows]);
     } catch (err) {
-      console.warn(`⚠️  Unable to fetch About Page tab: ${err.message}`);
+      complete = false;
+      logWarning(`⚠️  Unable to fetch About Page tab: ${err.message}`);
     }
+  }
 
-    // Summary
-    console.log(`\n✅ Build-time asset processing complete!`);
-    console.log(
-      `📊 Summary: ${downloadCount} downloaded, ${skipCount} skipped, ${errorCount} errors`
+  if (options.tabs.includes(SETTINGS_TAB)) {
+    try {
+      // Site Settings: text and links only, nothing to download. The tab
+      // holds no assets, so failing to fetch it doesn't hold back --clean.
+      const rows = await processSheetTab(source, SETTINGS_TAB, {
+        schema: siteSettingsSchema(),
+        mediaCells: () => false,
+        report,
+      });
+      outputs.push([OUTPUT_SETTINGS_FILE, rows]);
+    } catch (err) {
+      logWarning(`⚠️  Unable to fetch Site Settings tab: ${err.message}`);
+    }
+  }
+
+  report.print(log);
+
+  const summary = {
+    exitCode: EXIT_CODES.ok,
+    dryRun,
+    source: { kind: source.kind, description: source.description },
+    tabs: options.tabs,
+    projects: selectedProjects,
+    assets: { ...stats },
+    actions: context.actions,
+    renamed: renames,
+    validation: { errors: report.errors, warnings: report.warnings },
+    written: [],
+    cleaned: null,
+  };
+
+  if (options.strict && report.errors.length > 0) {
+    // Keep what was downloaded, but leave the previous JSON in place
+    if (!dryRun) manifest.save();
+    logError(
+      `❌ Sheet validation failed with ${report.errors.length} errors (strict mode), no data was written`
     );
+    return { ...summary, exitCode: EXIT_CODES.invalid };
+  }
 
-    if (errorCount > 0) {
-      console.warn(
-        `⚠️  ${errorCount} files failed to download but build will continue`
-      );
+  if (dryRun) {
+    log(
+      `🔎 Dry run: ${context.actions.length} changes planned, nothing was written`
+    );
+  } else {
+    for (const [outputFile, data] of outputs) {
+      writeJson(outputFile, data);
+      summary.written.push(path.relative(process.cwd(), outputFile));
+      log(`💾 Saved ${path.basename(outputFile)} to: ${outputFile}`);
+    }
+    if (slugHistory.changed) {
+      slugHistory.save();
+      summary.written.push(path.relative(process.cwd(), SLUG_HISTORY_FILE));
+      log(`💾 Saved slug history to: ${SLUG_HISTORY_FILE}`);
     }
+  }
+
+  // Clean only after a full, successful sync so a flaky run never deletes
+  // assets that are still referenced by a tab that failed to load
+  if (options.clean || PRUNE) {
+    if (options.partial) {
+      log(`⏭️  Skipping clean: only part of the sheet was processed`);
+    } else if (complete && stats.errors === 0) {
+      const { removedEntries, removedFiles } = manifest.prune({ dryRun });
+      summary.cleaned = { files: removedFiles, entries: removedEntries };
+      if (removedFiles.length > 0 || removedEntries.length > 0) {
+        log(
+          `🧹 ${dryRun ? "Would remove" : "Removed"} ${removedFiles.length} unreferenced files, ${removedEntries.length} manifest entries`
+        );
+        removedFiles.forEach((file) => log(`   - ${file}`));
+      }
+      // Every download finished, so anything left in staging is stale
+      if (!dryRun) fs.rmSync(STAGING_DIR, { recursive: true, force: true });
+    } else {
+      log(`⏭️  Skipping clean: sync was incomplete`);
+    }
+  }
+
+  if (!dryRun) {
+    manifest.save();
+    log(`💾 Saved asset manifest to: ${MANIFEST_FILE}`);
+  }
+
+  // Summary
+  log(`\n✅ Build-time asset processing complete!`);
+  log(
+    `📊 Summary: ${stats.downloaded} downloaded, ${stats.skipped} skipped, ${stats.errors} errors`
+  );
+  summary.assets = { ...stats };
+
+  if (stats.errors > 0) {
+    logWarning(`⚠️  ${stats.errors} files failed to download`);
+    if (!options.allowDownloadErrors) summary.exitCode = EXIT_CODES.downloads;
+  }
+  return summary;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2), {
+      tabs: [WORK_TAB, HOME_PAGE_TAB, ABOUT_PAGE_TAB, SETTINGS_TAB],
+    });
+  } catch (error) {
+    logError(`❌ ${error.message}\n\n${USAGE}`);
+    process.exitCode = EXIT_CODES.usage;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (options.json) logStream = process.stderr;
+  verbose = VERBOSE || options.verbose;
+  options.strict = options.strict || STRICT;
+
+  log("🚀 Starting build-time asset processing...");
+
+  let summary;
+  try {
+    const baseSource = createSource(SHEET_SOURCE, {
+      opensheetUrl: config.sheet.opensheetUrl,
+    });
+    const source = SHEET_SNAPSHOT_DIR
+      ? withSnapshot(baseSource, path.resolve(SHEET_SNAPSHOT_DIR))
+      : baseSource;
+    log(`📚 Content source: ${source.kind} (${source.description})`);
+
+    summary = await processAssets(source, options);
   } catch (error) {
-    console.error("❌ Build failed:", error);
-    process.exit(1);
+    const usage = error instanceof UsageError;
+    if (usage) logError(`❌ ${error.message}`);
+    else logError("❌ Build failed:", error);
+    summary = {
+      exitCode: usage ? EXIT_CODES.usage : EXIT_CODES.failed,
+      error: error.message,
+    };
+  }
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
   }
+  process.exitCode = summary.exitCode;
 }
 
 // Run the script
 if (import.meta.url === `file://${process.argv[1]}`) {
-  processAssets();
+  main();
 }
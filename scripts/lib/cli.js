@@ -0,0 +1,121 @@
+/**
+ * Command Line Interface
+ *
+ * Parses the options of scripts/build-assets.js. Environment variables keep
+ * working as defaults (handy on Vercel); flags override them for manual runs.
+ */
+
+import { parseArgs } from "util";
+
+export const EXIT_CODES = {
+  ok: 0,
+  // Unexpected failure, e.g. the content source could not be read
+  failed: 1,
+  // Invalid command line
+  usage: 2,
+  // Sheet validation errors in strict mode (nothing was written)
+  invalid: 3,
+  // Some assets could not be downloaded (data was written without them)
+  downloads: 4,
+};
+
+export const USAGE = `Usage: node scripts/build-assets.js [options]
+
+Fetches the content sheet, downloads its media (Drive, Dropbox, direct
+links, local media folder) into public/assets/projects and writes the JSON
+used by the site.
+
+Options:
+  -n, --dry-run          Show what would be downloaded, renamed or cleaned
+                         without changing any file
+  -p, --project <name>   Only sync this project (name or slug, repeatable);
+                         other projects keep their current data
+  -t, --tab <name>       Only process this tab (Work, "Home Page",
+                         "About Page", "Site Settings"; repeatable)
+  -f, --force            Re-download files even if they are up to date
+      --clean            Delete assets no longer referenced by any tab
+                         (full runs only)
+      --strict           Fail on sheet validation errors
+      --allow-download-errors
+                         Exit 0 when some assets fail to download (the
+                         pages link to the remote files instead)
+      --json             Print a machine-readable summary on stdout
+                         (logs go to stderr)
+  -v, --verbose          Log every file instead of a progress line
+  -h, --help             Show this help
+
+Exit codes:
+  0  success
+  1  unexpected failure
+  2  invalid command line
+  3  sheet validation failed (--strict)
+  4  some assets failed to download (unless --allow-download-errors)
+`;
+
+export class UsageError extends Error {}
+
+// Parse argv (without node and script path). `tabs` lists the valid tab names.
+export function parseCliArgs(argv, { tabs }) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: false,
+      options: {
+        "dry-run": { type: "boolean", short: "n" },
+        project: { type: "string", short: "p", multiple: true },
+        tab: { type: "string", short: "t", multiple: true },
+        force: { type: "boolean", short: "f" },
+        clean: { type: "boolean" },
+        strict: { type: "boolean" },
+        "allow-download-errors": { type: "boolean" },
+        json: { type: "boolean" },
+        verbose: { type: "boolean", short: "v" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values } = parsed;
+
+  // Tab names are matched case-insensitively
+  const selectedTabs = (values.tab || []).map((name) => {
+    const tab = tabs.find((t) => t.toLowerCase() === name.trim().toLowerCase());
+    if (!tab) {
+      throw new UsageError(
+        `Unknown tab "${name}" (expected one of: ${tabs.join(", ")})`
+      );
+    }
+    return tab;
+  });
+
+  const projects = values.project || [];
+  // --project only makes sense for the Work tab
+  const defaultTabs = projects.length > 0 ? [tabs[0]] : tabs;
+  const options = {
+    dryRun: Boolean(values["dry-run"]),
+    projects,
+    tabs: selectedTabs.length > 0 ? [...new Set(selectedTabs)] : defaultTabs,
+    force: Boolean(values.force),
+    clean: Boolean(values.clean),
+    strict: Boolean(values.strict),
+    allowDownloadErrors: Boolean(values["allow-download-errors"]),
+    json: Boolean(values.json),
+    verbose: Boolean(values.verbose),
+    help: Boolean(values.help),
+  };
+
+  if (projects.length > 0 && !options.tabs.includes(tabs[0])) {
+    throw new UsageError(`--project needs the ${tabs[0]} tab`);
+  }
+
+  // Cleaning needs every reference, so it can't run on a subset
+  options.partial = projects.length > 0 || options.tabs.length < tabs.length;
+  if (options.clean && options.partial) {
+    throw new UsageError("--clean can't be combined with --project or --tab");
+  }
+
+  return options;
+}
@@ -0,0 +1,286 @@
+/**
+ * Resumable Downloads
+ *
+ * Streams a URL into a staging file, next to a small JSON sidecar that
+ * remembers the source URL and the server's validator (ETag or
+ * Last-Modified). When an attempt fails half-way, the next one asks for the
+ * rest with an HTTP `Range` request (guarded by `If-Range`) and appends to the
+ * staging file. A download only counts as complete when its size matches the
+ * announced length and, where the server sends one (`Content-MD5`, Google's
+ * `x-goog-hash`), its MD5. Callers move the finished file into place.
+ */
+
+import fs from "fs";
+import path from "path";
+import https from "https";
+import crypto from "crypto";
+
+const MAX_REDIRECTS = 10;
+
+// Error for a failed HTTP response, tagged so the queue knows whether to retry
+export function httpError(message, { statusCode, retryable } = {}) {
+  const error = new Error(message);
+  if (statusCode) error.statusCode = statusCode;
+  if (retryable !== undefined) error.retryable = retryable;
+  return error;
+}
+
+function statePath(stagingPath) {
+  return `${stagingPath}.json`;
+}
+
+function readState(stagingPath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath(stagingPath), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function writeState(stagingPath, state) {
+  fs.writeFileSync(statePath(stagingPath), JSON.stringify(state, null, 2));
+}
+
+// Remove a staging file and its sidecar
+export function discardStaging(stagingPath) {
+  fs.rmSync(stagingPath, { force: true });
+  fs.rmSync(statePath(stagingPath), { force: true });
+}
+
+// Move a finished file into place. A rename is atomic, so readers never see a
+// partial file; across filesystems it falls back to copy + rename.
+export function moveIntoPlace(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    const temp = `${to}.${process.pid}.tmp`;
+    fs.copyFileSync(from, temp);
+    fs.renameSync(temp, to);
+    fs.rmSync(from, { force: true });
+  }
+}
+
+// Filename from a Content-Disposition header
+function dispositionFilename(header) {
+  if (!header) return null;
+  const encoded = header.match(/filename\*\s*=\s*[^']*''([^;\n]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/['"]/g, ""));
+    } catch {
+      // Fall through to the plain filename
+    }
+  }
+  const plain = header.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
+  return plain && plain[1] ? plain[1].replace(/['"]/g, "").trim() : null;
+}
+
+// Base64 MD5 announced by the server, if any
+function announcedMd5(headers) {
+  const goog = headers["x-goog-hash"];
+  const match = goog && String(goog).match(/md5=([A-Za-z0-9+/=]+)/);
+  if (match) return match[1];
+  return headers["content-md5"] || null;
+}
+
+function md5File(filepath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("md5");
+    fs.createReadStream(filepath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("base64")))
+      .on("error", reject);
+  });
+}
+
+// GET `url`, following redirects, with the given request headers
+function request(url, headers, timeoutMs, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { headers }, (response) => {
+      if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(httpError("Too many redirects", { retryable: false }));
+          return;
+        }
+        const location = new URL(response.headers.location, url).href;
+        request(location, headers, timeoutMs, redirects + 1).then(
+          resolve,
+          reject
+        );
+        return;
+      }
+      resolve({ response, url });
+    });
+    req.on("error", reject);
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Download timeout (${timeoutMs / 1000}s)`));
+    });
+  });
+}
+
+// Download `url` into `stagingPath`, resuming a previous partial attempt of
+// the same URL. Resolves with { path, size, filename } once the file is
+// complete and verified. Interrupted transfers keep the staging file so the
+// next attempt can resume; corrupt ones are discarded.
+export async function downloadToStaging(
+  url,
+  stagingPath,
+  {
+    onProgress = null,
+    maxSize = Infinity,
+    timeoutMs = 60000,
+    log = () => {},
+  } = {}
+) {
+  fs.mkdirSync(path.dirname(stagingPath), { recursive: true });
+
+  // Resume only a partial download of the same URL the server can validate
+  let state = readState(stagingPath);
+  let offset = 0;
+  if (state?.url === url && state.validator && fs.existsSync(stagingPath)) {
+    offset = fs.statSync(stagingPath).size;
+  } else {
+    discardStaging(stagingPath);
+    state = null;
+  }
+
+  const headers = {};
+  if (offset > 0) {
+    headers.Range = `bytes=${offset}-`;
+    headers["If-Range"] = state.validator;
+    log(`⏯️  Resuming ${path.basename(stagingPath)} at ${offset} bytes`);
+  }
+
+  const { response } = await request(url, headers, timeoutMs);
+
+  if (response.statusCode === 416) {
+    // The staged bytes don't fit the file any more: start over next attempt
+    response.resume();
+    discardStaging(stagingPath);
+    throw httpError("Range not satisfiable, restarting download");
+  }
+  if (response.statusCode !== 200 && response.statusCode !== 206) {
+    response.resume();
+    throw httpError(`HTTP ${response.statusCode}: ${response.statusMessage}`, {
+      statusCode: response.statusCode,
+    });
+  }
+
+  let total = Number(response.headers["content-length"]) || 0;
+  if (response.statusCode === 206) {
+    const range = String(response.headers["content-range"] || "").match(
+      /bytes (\d+)-\d+\/(\d+|\*)/
+    );
+    if (!range || Number(range[1]) !== offset) {
+      response.resume();
+      discardStaging(stagingPath);
+      throw httpError(
+        "Server resumed at the wrong offset, restarting download"
+      );
+    }
+    total = range[2] === "*" ? 0 : Number(range[2]);
+  } else {
+    // A full response: the server ignored the range or the file changed
+    offset = 0;
+  }
+
+  if (total > maxSize) {
+    response.resume();
+    discardStaging(stagingPath);
+    throw httpError(
+      `File too large: ${(total / 1024 / 1024).toFixed(1)}MB exceeds ${
+        maxSize / 1024 / 1024
+      }MB limit`,
+      { retryable: false }
+    );
+  }
+
+  state = {
+    url,
+    validator:
+      response.headers.etag || response.headers["last-modified"] || null,
+    total: total || null,
+    md5: (offset > 0 && state.md5) || announcedMd5(response.headers),
+    filename:
+      dispositionFilename(response.headers["content-disposition"]) ||
+      (offset > 0 ? state.filename : null),
+  };
+  // A weak ETag can't guarantee byte-identical ranges
+  if (state.validator?.startsWith("W/")) state.validator = null;
+  writeState(stagingPath, state);
+
+  const file = fs.createWriteStream(stagingPath, {
+    flags: offset > 0 ? "a" : "w",
+  });
+  let received = offset;
+  if (onProgress) onProgress(received, total);
+
+  await new Promise((resolve, reject) => {
+    let failed = false;
+    const fail = (error, { discard = false } = {}) => {
+      if (failed) return;
+      failed = true;
+      response.destroy();
+      // Wait for buffered bytes to reach the disk before the next attempt
+      file.end(() => {
+        if (discard) discardStaging(stagingPath);
+        reject(error);
+      });
+    };
+
+    response.on("data", (chunk) => {
+      received += chunk.length;
+      if (received > maxSize) {
+        fail(
+          httpError(
+            `File too large: ${(received / 1024 / 1024).toFixed(
+              1
+            )}MB exceeds ${maxSize / 1024 / 1024}MB limit`,
+            { retryable: false }
+          ),
+          { discard: true }
+        );
+        return;
+      }
+      if (onProgress) onProgress(received, total);
+      if (!file.write(chunk)) {
+        response.pause();
+        file.once("drain", () => response.resume());
+      }
+    });
+    response.on("end", () => {
+      if (!failed) file.end();
+    });
+    response.on("aborted", () => fail(new Error("Connection closed early")));
+    response.on("error", fail);
+    file.on("error", fail);
+    file.on("finish", () => {
+      if (!failed) resolve();
+    });
+  });
+
+  // Verify before anyone treats the file as complete
+  const size = fs.statSync(stagingPath).size;
+  if (total && size < total) {
+    throw httpError(`Incomplete download: ${size} of ${total} bytes`);
+  }
+  if (total && size > total) {
+    discardStaging(stagingPath);
+    throw httpError(
+      `Download larger than announced: ${size} of ${total} bytes`
+    );
+  }
+  if (state.md5) {
+    const md5 = await md5File(stagingPath);
+    if (md5 !== state.md5) {
+      discardStaging(stagingPath);
+      throw httpError("Checksum mismatch, restarting download");
+    }
+    log(`🔐 ${path.basename(stagingPath)}: MD5 verified`);
+  }
+
+  fs.rmSync(statePath(stagingPath), { force: true });
+  return { path: stagingPath, size, filename: state.filename };
+}
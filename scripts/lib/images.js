@@ -0,0 +1,110 @@
+/**
+ * Responsive Image Derivatives
+ *
+ * Uses sharp to read the intrinsic size of downloaded images and to write
+ * resized AVIF/WebP/JPEG variants, so pages can serve `srcset`/`sizes`
+ * instead of the full-resolution original.
+ */
+
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+
+export const DEFAULT_WIDTHS = [480, 960, 1440, 1920];
+
+// Output formats in order of preference (the last one is the <img> fallback)
+export const FORMATS = [
+  {
+    format: "avif",
+    extension: "avif",
+    type: "image/avif",
+    options: { quality: 55, effort: 4 },
+  },
+  {
+    format: "webp",
+    extension: "webp",
+    type: "image/webp",
+    options: { quality: 75 },
+  },
+  {
+    format: "jpeg",
+    extension: "jpg",
+    type: "image/jpeg",
+    options: { quality: 80, mozjpeg: true },
+  },
+];
+
+// Animated and vector images are served as-is
+const PASSTHROUGH_FORMATS = new Set(["gif", "svg"]);
+
+// Resizing is CPU and memory heavy: process one image at a time
+let chain = Promise.resolve();
+function serialize(task) {
+  const run = chain.then(task);
+  chain = run.catch(() => {});
+  return run;
+}
+
+// Widths to generate for an image: the configured breakpoints below the
+// intrinsic width, plus the intrinsic width itself when it is smaller than
+// the largest breakpoint
+export function targetWidths(intrinsicWidth, widths = DEFAULT_WIDTHS) {
+  const max = Math.max(...widths);
+  const result = widths.filter((width) => width < intrinsicWidth);
+  if (intrinsicWidth <= max) result.push(intrinsicWidth);
+  else result.push(max);
+  return [...new Set(result)].sort((a, b) => a - b);
+}
+
+// Read width/height of an image (EXIF orientation applied)
+export async function readImageSize(filepath) {
+  const metadata = await sharp(filepath).metadata();
+  const rotated = metadata.orientation >= 5;
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    format: metadata.format,
+  };
+}
+
+// Create every derivative of `sourcePath` in `outDir`. Returns the intrinsic
+// size, one srcset per format (URLs under `publicBase`), the fallback src and
+// the list of written filenames.
+export function createDerivatives(
+  sourcePath,
+  outDir,
+  publicBase,
+  { widths = DEFAULT_WIDTHS } = {}
+) {
+  return serialize(async () => {
+    const { width, height, format } = await readImageSize(sourcePath);
+    if (PASSTHROUGH_FORMATS.has(format) || !width || !height) {
+      return { width, height, sources: [], fallback: null, files: [] };
+    }
+
+    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+
+    const base = path.basename(sourcePath, path.extname(sourcePath));
+    const files = [];
+    const sources = [];
+    let fallback = null;
+
+    for (const output of FORMATS) {
+      const candidates = [];
+      for (const targetWidth of targetWidths(width, widths)) {
+        const filename = `${base}-${targetWidth}w.${output.extension}`;
+        await sharp(sourcePath)
+          .rotate()
+          .resize({ width: targetWidth, withoutEnlargement: true })
+          .toFormat(output.format, output.options)
+          .toFile(path.join(outDir, filename));
+        files.push(filename);
+        candidates.push(`${publicBase}/${filename} ${targetWidth}w`);
+        fallback = `${publicBase}/${filename}`;
+      }
+      sources.push({ type: output.type, srcset: candidates.join(", ") });
+    }
+
+    return { width, height, sources, fallback, files };
+  });
+}
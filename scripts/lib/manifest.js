@@ -0,0 +1,216 @@
+/**
+ * Asset Manifest
+ *
+ * Persists what the pipeline has downloaded into public/assets/projects so
+ * later runs can decide per asset slot (tab + row + field) whether to skip,
+ * rename, copy or re-download, and which files are no longer referenced.
+ *
+ * Each entry records the media's provider and file ID (see providers.js),
+ * the source row/field, the final filename, its size, sha256, extension
+ * and sniffed MIME type. Files generated from an asset (e.g. responsive image sizes, video
+ * posters) are recorded on the entry as well and carried over while the
+ * asset's sha256 stays the same.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const MANIFEST_VERSION = 1;
+
+// Entry fields describing files generated from the asset
+const DERIVED_FIELDS = ["image", "video"];
+
+// Hash a file on disk with sha256 (streamed, videos can be large)
+export function hashFile(filepath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filepath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+// Regular files directly inside a directory (none if it doesn't exist)
+function listFiles(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((dirent) => dirent.isFile())
+    .map((dirent) => dirent.name);
+}
+
+export class AssetManifest {
+  constructor(filepath, assetsDir, { derivedDir = null } = {}) {
+    this.filepath = filepath;
+    this.assetsDir = assetsDir;
+    this.derivedDir = derivedDir;
+    this.assets = {};
+    this.touched = new Set();
+
+    if (fs.existsSync(filepath)) {
+      const data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+      if (data.version === MANIFEST_VERSION && data.assets) {
+        this.assets = data.assets;
+      } else {
+        console.warn(`⚠️  Ignoring asset manifest with unknown version`);
+      }
+    }
+  }
+
+  // Stable key for an asset slot, independent of the Drive file it holds
+  static key(tab, row, field) {
+    return `${tab}:${row}:${field}`;
+  }
+
+  get(key) {
+    return this.assets[key] || null;
+  }
+
+  // File IDs recorded for the slots of one sheet row
+  fileIdsForRow(tab, row) {
+    return Object.values(this.assets)
+      .filter((entry) => entry.source?.tab === tab && entry.source?.row === row)
+      .map((entry) => entry.fileId);
+  }
+
+  // Check that the file recorded by an entry is still complete on disk
+  async isIntact(entry, { verifyHash = false } = {}) {
+    if (!entry || !entry.filename) return false;
+    const filepath = path.join(this.assetsDir, entry.filename);
+    if (!fs.existsSync(filepath)) return false;
+    if (fs.statSync(filepath).size !== entry.size) return false;
+    if (verifyHash && (await hashFile(filepath)) !== entry.sha256) return false;
+    return true;
+  }
+
+  // Decide what to do for a slot that should hold `fileId` under `baseName`.
+  // Returns { action: "skip" | "rename" | "copy" | "adopt" | "download", ... }
+  async plan(key, fileId, baseName, options = {}) {
+    const entry = this.get(key);
+
+    if (
+      entry &&
+      entry.fileId === fileId &&
+      (await this.isIntact(entry, options))
+    ) {
+      const currentBase = path.basename(
+        entry.filename,
+        path.extname(entry.filename)
+      );
+      if (currentBase === baseName) return { action: "skip", entry };
+      return { action: "rename", entry, from: entry.filename };
+    }
+
+    // Same source file already downloaded for another slot
+    for (const [otherKey, other] of Object.entries(this.assets)) {
+      if (otherKey === key || other.fileId !== fileId) continue;
+      if (await this.isIntact(other, options)) {
+        return { action: "copy", entry: other, from: other.filename };
+      }
+    }
+
+    // Files downloaded before the manifest existed
+    if (!entry && fs.existsSync(this.assetsDir)) {
+      const legacy = fs
+        .readdirSync(this.assetsDir)
+        .find(
+          (file) =>
+            path.basename(file, path.extname(file)) === baseName &&
+            path.extname(file) !== ".tmp" &&
+            fs.statSync(path.join(this.assetsDir, file)).size > 0
+        );
+      if (legacy) return { action: "adopt", from: legacy };
+    }
+
+    return {
+      action: "download",
+      reason: !entry
+        ? "new"
+        : entry.fileId !== fileId
+          ? "source changed"
+          : "missing or modified on disk",
+    };
+  }
+
+  // Record the final file for a slot (hashing it) and mark the slot as in use
+  async record(
+    key,
+    { fileId, provider, tab, row, field, url, filename, type, mime }
+  ) {
+    const filepath = path.join(this.assetsDir, filename);
+    const previous = this.assets[key];
+    const entry = {
+      fileId,
+      provider,
+      source: { tab, row, field, url },
+      filename,
+      size: fs.statSync(filepath).size,
+      sha256: await hashFile(filepath),
+      type,
+      mime,
+      updatedAt: new Date().toISOString(),
+    };
+    if (previous && previous.sha256 === entry.sha256) {
+      for (const field of DERIVED_FIELDS) {
+        if (previous[field]) entry[field] = previous[field];
+      }
+    }
+    this.assets[key] = entry;
+    this.touched.add(key);
+    return entry;
+  }
+
+  // Keep an entry that was verified without changes
+  touch(key) {
+    this.touched.add(key);
+  }
+
+  // Drop entries for slots not seen this run and delete unreferenced files
+  // (downloaded assets and their derived files)
+  prune({ dryRun = false } = {}) {
+    const removedEntries = Object.keys(this.assets).filter(
+      (key) => !this.touched.has(key)
+    );
+    if (!dryRun) {
+      for (const key of removedEntries) delete this.assets[key];
+    }
+
+    const kept = Object.entries(this.assets)
+      .filter(([key]) => this.touched.has(key))
+      .map(([, entry]) => entry);
+    const referenced = new Set(kept.map((entry) => entry.filename));
+    const referencedDerived = new Set(
+      kept.flatMap((entry) =>
+        DERIVED_FIELDS.flatMap((field) => entry[field]?.files || [])
+      )
+    );
+
+    const orphans = [
+      ...listFiles(this.assetsDir)
+        .filter((file) => !referenced.has(file))
+        .map((file) => path.join(this.assetsDir, file)),
+      ...listFiles(this.derivedDir)
+        .filter((file) => !referencedDerived.has(file))
+        .map((file) => path.join(this.derivedDir, file)),
+    ];
+
+    if (!dryRun) {
+      for (const filepath of orphans) fs.unlinkSync(filepath);
+    }
+
+    const removedFiles = orphans.map((filepath) => path.basename(filepath));
+    return { removedEntries, removedFiles };
+  }
+
+  save() {
+    const sorted = Object.fromEntries(
+      Object.entries(this.assets).sort(([a], [b]) => a.localeCompare(b))
+    );
+    fs.writeFileSync(
+      this.filepath,
+      JSON.stringify({ version: MANIFEST_VERSION, assets: sorted }, null, 2)
+    );
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Progress Line
+ *
+ * A single status line that is redrawn in place on interactive terminals and
+ * printed periodically in CI logs (e.g. Vercel), where carriage returns
+ * would just produce noise. Messages printed through log() appear above the
+ * line instead of being interleaved with it.
+ */
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return "…";
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+export class ProgressLine {
+  constructor({ stream = process.stdout, interval } = {}) {
+    this.stream = stream;
+    this.interactive = Boolean(stream.isTTY);
+    this.interval = interval ?? (this.interactive ? 100 : 5000);
+    this.text = "";
+    this.lastDraw = 0;
+    this.active = false;
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.lastDraw = 0;
+  }
+
+  update(text) {
+    this.text = text;
+    if (!this.active) return;
+    if (Date.now() - this.lastDraw < this.interval) return;
+    this.lastDraw = Date.now();
+
+    if (this.interactive) this.draw();
+    else this.stream.write(`${text}\n`);
+  }
+
+  draw() {
+    if (this.interactive && this.text) {
+      this.stream.write(`\r\x1b[K${this.text}`);
+    }
+  }
+
+  clear() {
+    if (this.interactive) this.stream.write("\r\x1b[K");
+  }
+
+  // Print a message on `stream` without breaking the status line
+  log(message, stream = this.stream) {
+    if (this.active) this.clear();
+    stream.write(`${message}\n`);
+    if (this.active) this.draw();
+  }
+
+  stop(finalText = this.text) {
+    if (!this.active) return;
+    this.clear();
+    this.active = false;
+    this.text = "";
+    if (finalText) this.stream.write(`${finalText}\n`);
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Media Providers
+ *
+ * Turns a media cell from the sheet into a reference the pipeline can sync.
+ * Each provider recognises its own links, normalises them and gives the
+ * media a stable ID, used in filenames and the asset manifest:
+ *
+ * - drive    Google Drive share links, downloaded
+ * - dropbox  Dropbox share links, downloaded with dl=1
+ * - youtube  YouTube videos, kept as an embed
+ * - vimeo    Vimeo videos, kept as a player embed
+ * - local    paths relative to the local media folder, copied
+ * - https    any other https:// link to a media file, downloaded
+ *
+ * A reference is { provider, id, mode, ... } where mode is "download"
+ * (fetch `url`), "copy" (copy the file at `path`) or "embed" (use `src` and
+ * `type` as they are). Site paths such as "/videos/clip.mp4" and anything
+ * no provider recognises resolve to null.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Extensions of files worth downloading from a plain https:// URL
+const MEDIA_EXTENSIONS = new Set([
+  "jpg",
+  "jpeg",
+  "png",
+  "gif",
+  "webp",
+  "avif",
+  "svg",
+  "heic",
+  "mp4",
+  "m4v",
+  "mov",
+  "webm",
+  "mkv",
+  "avi",
+  "mp3",
+  "m4a",
+  "aac",
+  "wav",
+  "ogg",
+  "flac",
+  "pdf",
+]);
+
+function shortHash(text) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 12);
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+function extensionOf(pathname) {
+  return path.extname(pathname).slice(1).toLowerCase();
+}
+
+// Google Drive URL patterns
+const GOOGLE_DRIVE_PATTERNS = [
+  /https:\/\/drive\.google\.com\/file\/d\/([a-zA-Z0-9_-]+)/,
+  /https:\/\/drive\.google\.com\/(?:open|uc)\?(?:.*&)?id=([a-zA-Z0-9_-]+)/,
+  /https:\/\/drive\.usercontent\.google\.com\/download\?(?:.*&)?id=([a-zA-Z0-9_-]+)/,
+  /https:\/\/docs\.google\.com\/.*\/d\/([a-zA-Z0-9_-]+)/,
+];
+
+// Extract Google Drive file ID
+export function extractDriveFileId(url) {
+  if (!url || typeof url !== "string") return null;
+
+  for (const pattern of GOOGLE_DRIVE_PATTERNS) {
+    const match = url.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+const drive = {
+  name: "drive",
+  resolve(value) {
+    const fileId = extractDriveFileId(value);
+    if (!fileId) return null;
+    // Drive IDs are kept bare so files downloaded before providers existed
+    // keep their names
+    return {
+      id: fileId,
+      mode: "download",
+      url: `https://drive.google.com/uc?export=download&id=${fileId}`,
+    };
+  },
+};
+
+const dropbox = {
+  name: "dropbox",
+  resolve(value, url) {
+    if (!url || !/(^|\.)dropbox\.com$/.test(url.hostname)) return null;
+    // /s/<id>/<name> (legacy) or /scl/fi/<id>/<name>
+    const match = url.pathname.match(/^\/(?:s|scl\/fi)\/([^/]+)\/[^/]+/);
+    if (!match) return null;
+
+    const download = new URL(url);
+    download.hostname = "www.dropbox.com";
+    download.searchParams.delete("raw");
+    download.searchParams.set("dl", "1");
+    return {
+      id: `dropbox-${match[1].replace(/[^a-zA-Z0-9_-]/g, "")}`,
+      mode: "download",
+      url: download.toString(),
+    };
+  },
+};
+
+const youtube = {
+  name: "youtube",
+  resolve(value, url) {
+    if (!url) return null;
+    let videoId = null;
+    if (url.hostname === "youtu.be") {
+      videoId = url.pathname.slice(1);
+    } else if (/(^|\.)youtube(-nocookie)?\.com$/.test(url.hostname)) {
+      videoId =
+        url.searchParams.get("v") ||
+        url.pathname.match(/^\/(?:embed|shorts|v|live)\/([^/]+)/)?.[1];
+    }
+    if (!videoId || !/^[a-zA-Z0-9_-]+$/.test(videoId)) return null;
+    return {
+      id: `youtube-${videoId}`,
+      mode: "embed",
+      type: "youtube",
+      src: `https://www.youtube.com/embed/${videoId}`,
+    };
+  },
+};
+
+const vimeo = {
+  name: "vimeo",
+  resolve(value, url) {
+    if (!url || !/(^|\.)vimeo\.com$/.test(url.hostname)) return null;
+    // vimeo.com/<id>[/<hash>], player.vimeo.com/video/<id>?h=<hash>,
+    // vimeo.com/channels/<name>/<id>
+    const match = url.pathname.match(/(?:^|\/)(\d+)(?:\/([0-9a-f]+))?\/?$/);
+    if (!match) return null;
+    const hash = match[2] || url.searchParams.get("h");
+    return {
+      id: `vimeo-${match[1]}`,
+      mode: "embed",
+      type: "vimeo",
+      src: `https://player.vimeo.com/video/${match[1]}${hash ? `?h=${hash}` : ""}`,
+    };
+  },
+};
+
+const https = {
+  name: "https",
+  resolve(value, url) {
+    if (!url || url.protocol !== "https:") return null;
+    if (!MEDIA_EXTENSIONS.has(extensionOf(url.pathname))) return null;
+    url.hash = "";
+    return {
+      id: `url-${shortHash(url.toString())}`,
+      mode: "download",
+      url: url.toString(),
+    };
+  },
+};
+
+const local = {
+  name: "local",
+  resolve(value, url, { localMediaDir }) {
+    if (url || value.startsWith("/") || !localMediaDir) return null;
+    const filepath = path.resolve(localMediaDir, value);
+    // Stay inside the media folder
+    if (!filepath.startsWith(path.resolve(localMediaDir) + path.sep)) {
+      return null;
+    }
+    if (!fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
+      return null;
+    }
+    const relative = path.relative(localMediaDir, filepath);
+    return {
+      id: `local-${shortHash(relative.split(path.sep).join("/"))}`,
+      mode: "copy",
+      path: filepath,
+    };
+  },
+};
+
+// Providers in the order they are tried
+export const PROVIDERS = [drive, dropbox, youtube, vimeo, https, local];
+
+// Resolve a media cell to a provider reference (or null)
+export function resolveMedia(value, { localMediaDir = null } = {}) {
+  if (!value || typeof value !== "string") return null;
+  const text = value.trim();
+  const url = /^[a-z][a-z0-9+.-]*:/i.test(text) ? parseUrl(text) : null;
+
+  for (const provider of PROVIDERS) {
+    const ref = provider.resolve(text, url && new URL(url), { localMediaDir });
+    if (ref) return { provider: provider.name, ...ref };
+  }
+  return null;
+}
@@ -0,0 +1,75 @@
+/**
+ * Publishing Columns
+ *
+ * Parses the Work tab's Order, Featured, Status and Publish Date cells into
+ * the values stored in projects.json. Each parser returns null for a value it
+ * doesn't understand, so validation can point at the cell.
+ *
+ * - order        a number; lower comes first, empty sorts after numbered rows
+ * - featured     yes/no, true/false, x, ✓ or 1/0
+ * - status       draft, published (the default) or unlisted
+ * - publishDate  YYYY-MM-DD, M/D/YYYY or a written date, stored as YYYY-MM-DD
+ */
+
+export const STATUSES = ["draft", "published", "unlisted"];
+
+const TRUE_VALUES = new Set(["yes", "y", "true", "x", "✓", "✔", "1"]);
+const FALSE_VALUES = new Set(["no", "n", "false", "0"]);
+
+const pad = (number) => String(number).padStart(2, "0");
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject dates like 2024-02-31 that Date would roll over
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Sort position, or null when the cell isn't a number
+export function parseOrder(value) {
+  const text = String(value ?? "").trim();
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+  return Number(text);
+}
+
+// true/false, or null for anything else
+export function parseFlag(value) {
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (TRUE_VALUES.has(text)) return true;
+  if (FALSE_VALUES.has(text)) return false;
+  return null;
+}
+
+// One of STATUSES ("published" when empty), or null
+export function parseStatus(value) {
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (!text) return "published";
+  return STATUSES.includes(text) ? text : null;
+}
+
+// YYYY-MM-DD, or null when the cell isn't a date
+export function parseSheetDate(value) {
+  const text = String(value ?? "").trim();
+  let match;
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  // Google Sheets' default (US) date format
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return isoDate(Number(match[3]), Number(match[1]), Number(match[2]));
+  }
+  // Written dates such as "March 5, 2024"
+  if (/[a-z]/i.test(text) && /\d{4}/.test(text)) {
+    const date = new Date(text);
+    if (!Number.isNaN(date.getTime())) {
+      return isoDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    }
+  }
+  return null;
+}
@@ -0,0 +1,208 @@
+/**
+ * Download Queue
+ *
+ * Runs download tasks with bounded global concurrency, a per-host limit and
+ * minimum spacing between requests to the same host, and retries failed
+ * tasks with exponential backoff. Progress (files, bytes, ETA) is reported
+ * through a single aggregated status line.
+ */
+
+import { ProgressLine, formatBytes, formatDuration } from "./progress.js";
+
+export const DEFAULT_QUEUE_OPTIONS = {
+  concurrency: 4,
+  perHostConcurrency: 3,
+  perHostIntervalMs: 250,
+  retries: 3,
+  backoffBaseMs: 1000,
+  backoffMaxMs: 15000,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// HTTP status errors carry `statusCode`; anything flagged `retryable: false`
+// (HTML error pages, oversized files) is permanent.
+export function isRetryable(error) {
+  if (error.retryable === false) return false;
+  const status = error.statusCode;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Exponential backoff with full jitter
+export function backoffDelay(attempt, { backoffBaseMs, backoffMaxMs }) {
+  const ceiling = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+}
+
+export class DownloadQueue {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_QUEUE_OPTIONS, ...options };
+    this.waiting = [];
+    this.active = 0;
+    this.retrying = 0;
+    this.hosts = new Map();
+    this.progress = new ProgressLine({ stream: this.options.progressStream });
+    this.stats = {
+      total: 0,
+      done: 0,
+      failed: 0,
+      bytes: 0,
+      startedAt: 0,
+    };
+    this.transfers = new Set();
+  }
+
+  hostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, nextStart: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  // Nothing running, waiting or backing off
+  get idle() {
+    return (
+      this.active === 0 && this.retrying === 0 && this.waiting.length === 0
+    );
+  }
+
+  // Queue a task. `task(transfer)` performs the download and may call
+  // `transfer.progress(received, total)`; it is retried on failure.
+  add(url, task) {
+    const host = new URL(url).host;
+
+    // First task of a new batch: reset the counters and show the progress line
+    if (this.idle) {
+      this.stats = {
+        total: 0,
+        done: 0,
+        failed: 0,
+        bytes: 0,
+        startedAt: Date.now(),
+      };
+      this.progress.start();
+    }
+    this.stats.total++;
+    this.render();
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ host, task, resolve, reject, attempt: 0 });
+      this.pump();
+    });
+  }
+
+  // Start as many waiting tasks as the global and per-host limits allow
+  pump() {
+    const { concurrency, perHostConcurrency, perHostIntervalMs } = this.options;
+
+    for (let i = 0; i < this.waiting.length && this.active < concurrency;) {
+      const job = this.waiting[i];
+      const host = this.hostState(job.host);
+      const wait = host.nextStart - Date.now();
+
+      if (host.active >= perHostConcurrency) {
+        i++;
+        continue;
+      }
+      if (wait > 0) {
+        if (!host.timer) {
+          host.timer = setTimeout(() => {
+            host.timer = null;
+            this.pump();
+          }, wait);
+        }
+        i++;
+        continue;
+      }
+
+      this.waiting.splice(i, 1);
+      host.active++;
+      host.nextStart = Date.now() + perHostIntervalMs;
+      this.active++;
+      this.run(job, host);
+    }
+  }
+
+  async run(job, host) {
+    const transfer = { received: 0, total: 0 };
+    transfer.progress = (received, total) => {
+      this.stats.bytes += received - transfer.received;
+      transfer.received = received;
+      transfer.total = total || 0;
+      this.render();
+    };
+    this.transfers.add(transfer);
+    job.attempt++;
+
+    try {
+      const result = await job.task(transfer);
+      this.stats.done++;
+      job.resolve(result);
+    } catch (error) {
+      // Bytes of a failed attempt don't count towards progress
+      this.stats.bytes -= transfer.received;
+
+      if (job.attempt <= this.options.retries && isRetryable(error)) {
+        const delay = backoffDelay(job.attempt, this.options);
+        this.progress.log(
+          `🔁 Retrying in ${formatDuration(delay)} (${job.attempt}/${this.options.retries}): ${error.message}`
+        );
+        this.transfers.delete(transfer);
+        host.active--;
+        this.active--;
+        this.retrying++;
+        await sleep(delay);
+        this.retrying--;
+        this.waiting.push(job);
+        this.pump();
+        return;
+      }
+
+      this.stats.failed++;
+      job.reject(error);
+    }
+
+    this.transfers.delete(transfer);
+    host.active--;
+    this.active--;
+    this.render();
+
+    if (this.idle) {
+      this.progress.stop(this.summary());
+    } else {
+      this.pump();
+    }
+  }
+
+  // Files completed plus the fraction of in-flight transfers
+  completedUnits() {
+    let units = this.stats.done + this.stats.failed;
+    for (const transfer of this.transfers) {
+      if (transfer.total > 0) units += transfer.received / transfer.total;
+    }
+    return units;
+  }
+
+  summary() {
+    const { done, failed, total, bytes, startedAt } = this.stats;
+    const elapsed = Date.now() - startedAt;
+    return `📥 ${done}/${total} files, ${formatBytes(bytes)} in ${formatDuration(
+      elapsed
+    )}${failed ? `, ${failed} failed` : ""}`;
+  }
+
+  render() {
+    const { done, failed, total, bytes, startedAt } = this.stats;
+    const elapsed = Date.now() - startedAt;
+    const units = this.completedUnits();
+    const eta =
+      units > 0 ? formatDuration((elapsed / units) * (total - units)) : "…";
+
+    this.progress.update(
+      `📥 ${done + failed}/${total} files · ${formatBytes(bytes)} · ${
+        this.active
+      } active · ETA ${eta}`
+    );
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Slug History
+ *
+ * Remembers the page slugs each project had before, so renaming a project
+ * (or setting its Slug column) doesn't break links that were already shared.
+ * The file maps every current slug to its previous ones, newest first:
+ *
+ *   { "version": 1, "projects": { "milk-organic": ["milk-makeup-organic-social"] } }
+ *
+ * astro.config.mjs turns it into redirects (see slugRedirects in src/slugs.js).
+ */
+
+import fs from "fs";
+import path from "path";
+
+const HISTORY_VERSION = 1;
+
+export class SlugHistory {
+  constructor(filepath) {
+    this.filepath = filepath;
+    this.projects = {};
+    this.changed = false;
+
+    if (fs.existsSync(filepath)) {
+      const data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+      if (data.version === HISTORY_VERSION && data.projects) {
+        this.projects = data.projects;
+      } else {
+        console.warn(`⚠️  Ignoring slug history with unknown version`);
+      }
+    }
+  }
+
+  // Record that the project at `from` now lives at `to`, carrying over the
+  // slugs `from` had before
+  rename(from, to) {
+    const previous = [from, ...(this.projects[from] || [])];
+    this.projects[to] = [
+      ...new Set([...previous, ...(this.projects[to] || [])]),
+    ].filter((slug) => slug !== to);
+    delete this.projects[from];
+    this.changed = true;
+  }
+
+  // Stop redirecting slugs that belong to a current project again
+  release(currentSlugs) {
+    const current = new Set(currentSlugs);
+    for (const [slug, previous] of Object.entries(this.projects)) {
+      const kept = previous.filter((old) => !current.has(old));
+      if (kept.length === previous.length) continue;
+      this.changed = true;
+      if (kept.length > 0) {
+        this.projects[slug] = kept;
+      } else {
+        delete this.projects[slug];
+      }
+    }
+  }
+
+  save() {
+    const dir = path.dirname(this.filepath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const sorted = Object.fromEntries(
+      Object.entries(this.projects).sort(([a], [b]) => a.localeCompare(b))
+    );
+    fs.writeFileSync(
+      this.filepath,
+      JSON.stringify({ version: HISTORY_VERSION, projects: sorted }, null, 2)
+    );
+  }
+}
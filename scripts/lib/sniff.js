@@ -0,0 +1,205 @@
+/**
+ * Media Type Sniffing
+ *
+ * Recognises downloaded files by their signature ("magic number") instead of
+ * their size or the extension someone gave them. Returns the extension to
+ * save the file under, its MIME type and a kind (image, video, audio or
+ * document), or null for anything it doesn't know.
+ */
+
+import fs from "fs";
+
+// Bytes read from the start of a file; enough for an SVG behind an XML
+// prolog and comments, or a Matroska DocType
+export const SNIFF_BYTES = 8192;
+
+const type = (extension, mime, kind) => ({ extension, mime, kind });
+
+// ISO base media file format (MP4, QuickTime, HEIF, AVIF, M4A) by brand
+const BMFF_BRANDS = [
+  [["avif", "avis"], type(".avif", "image/avif", "image")],
+  [
+    ["heic", "heix", "heim", "heis", "hevc", "hevx"],
+    type(".heic", "image/heic", "image"),
+  ],
+  [["mif1", "msf1"], type(".heif", "image/heif", "image")],
+  [["qt  "], type(".mov", "video/quicktime", "video")],
+  [["M4A ", "M4B ", "M4P "], type(".m4a", "audio/mp4", "audio")],
+  [["M4V ", "M4VH", "M4VP"], type(".m4v", "video/x-m4v", "video")],
+  [["3gp4", "3gp5", "3gp6", "3g2a"], type(".3gp", "video/3gpp", "video")],
+];
+
+// QuickTime files from before the ftyp box start with one of these atoms
+const QUICKTIME_ATOMS = new Set([
+  "moov",
+  "mdat",
+  "wide",
+  "free",
+  "skip",
+  "pnot",
+]);
+
+function ascii(buffer, start, end) {
+  return buffer.toString("latin1", start, Math.min(end, buffer.length));
+}
+
+function sniffBmff(buffer) {
+  const boxSize = buffer.readUInt32BE(0);
+  const major = ascii(buffer, 8, 12);
+  const compatible = [];
+  for (
+    let offset = 16;
+    offset + 4 <= Math.min(boxSize, buffer.length);
+    offset += 4
+  ) {
+    compatible.push(ascii(buffer, offset, offset + 4));
+  }
+
+  const known = (brand) =>
+    BMFF_BRANDS.find(([brands]) => brands.includes(brand))?.[1];
+
+  // Generic HEIF containers name the actual image format as a compatible brand
+  if (major === "mif1" || major === "msf1") {
+    const image = compatible
+      .map(known)
+      .find((result) => result && /^image\/(avif|heic)$/.test(result.mime));
+    if (image) return image;
+  }
+  return known(major) || type(".mp4", "video/mp4", "video");
+}
+
+// EBML header: WebM or Matroska, told apart by the DocType element
+function sniffEbml(buffer) {
+  const head = ascii(buffer, 0, 64);
+  if (head.includes("webm")) return type(".webm", "video/webm", "video");
+  return type(".mkv", "video/x-matroska", "video");
+}
+
+// SVG: XML text whose first element is <svg>
+function sniffSvg(buffer) {
+  let text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  text = text
+    .replace(/<\?xml[\s\S]*?\?>/g, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?>/i, "")
+    .trimStart();
+  return /^<svg[\s>]/i.test(text)
+    ? type(".svg", "image/svg+xml", "image")
+    : null;
+}
+
+// MPEG audio frame header (MP3) or ADTS (AAC)
+function sniffMpegAudio(buffer) {
+  if (buffer.length < 2 || buffer[0] !== 0xff || (buffer[1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+  const layer = (buffer[1] >> 1) & 0x03;
+  if (layer === 0) return type(".aac", "audio/aac", "audio");
+  // Layer III, not a reserved version
+  if (layer === 1 && ((buffer[1] >> 3) & 0x03) !== 1) {
+    return type(".mp3", "audio/mpeg", "audio");
+  }
+  return null;
+}
+
+// Identify a file from its first bytes
+export function sniffBuffer(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+
+  const hex = (start, end) => buffer.toString("hex", start, end);
+
+  // Images
+  if (hex(0, 3) === "ffd8ff") return type(".jpg", "image/jpeg", "image");
+  if (hex(0, 8) === "89504e470d0a1a0a") {
+    return type(".png", "image/png", "image");
+  }
+  if (ascii(buffer, 0, 6) === "GIF87a" || ascii(buffer, 0, 6) === "GIF89a") {
+    return type(".gif", "image/gif", "image");
+  }
+
+  // RIFF containers: WebP, AVI, WAV
+  if (ascii(buffer, 0, 4) === "RIFF") {
+    const form = ascii(buffer, 8, 12);
+    if (form === "WEBP") return type(".webp", "image/webp", "image");
+    if (form === "AVI ") return type(".avi", "video/x-msvideo", "video");
+    if (form === "WAVE") return type(".wav", "audio/wav", "audio");
+    return null;
+  }
+
+  // ISO base media (MP4, MOV, HEIC, AVIF, M4A)
+  if (buffer.length >= 12 && ascii(buffer, 4, 8) === "ftyp") {
+    return sniffBmff(buffer);
+  }
+  if (QUICKTIME_ATOMS.has(ascii(buffer, 4, 8))) {
+    return type(".mov", "video/quicktime", "video");
+  }
+
+  if (hex(0, 4) === "1a45dfa3") return sniffEbml(buffer);
+
+  // Documents
+  if (ascii(buffer, 0, 5) === "%PDF-") {
+    return type(".pdf", "application/pdf", "document");
+  }
+
+  // Audio
+  if (ascii(buffer, 0, 4) === "fLaC")
+    return type(".flac", "audio/flac", "audio");
+  if (ascii(buffer, 0, 4) === "OggS") {
+    return ascii(buffer, 0, 64).includes("theora")
+      ? type(".ogv", "video/ogg", "video")
+      : type(".ogg", "audio/ogg", "audio");
+  }
+  if (
+    ascii(buffer, 0, 4) === "FORM" &&
+    /^AIF[FC]$/.test(ascii(buffer, 8, 12))
+  ) {
+    return type(".aif", "audio/aiff", "audio");
+  }
+  if (ascii(buffer, 0, 3) === "ID3") return type(".mp3", "audio/mpeg", "audio");
+  const mpeg = sniffMpegAudio(buffer);
+  if (mpeg) return mpeg;
+
+  // Text formats last
+  return sniffSvg(buffer);
+}
+
+// Read the start of a file on disk
+export function readHead(filepath, bytes = SNIFF_BYTES) {
+  const fd = fs.openSync(filepath, "r");
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const read = fs.readSync(fd, buffer, 0, bytes, 0);
+    return buffer.subarray(0, read);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Identify a file on disk
+export function sniffFile(filepath) {
+  return sniffBuffer(readHead(filepath));
+}
+
+// Page media type (see MediaViewer) for a sniffed MIME type
+export function mediaKind(mime) {
+  if (!mime) return null;
+  if (mime === "application/pdf") return "document";
+  const [group] = mime.split("/");
+  return ["image", "video", "audio"].includes(group) ? group : null;
+}
+
+// Other spellings of a sniffed extension that needn't be renamed
+const EXTENSION_ALIASES = {
+  ".jpg": [".jpeg", ".jpe"],
+  ".aif": [".aiff"],
+  ".mov": [".qt"],
+};
+
+// Does a file's extension already match its sniffed type?
+export function matchesExtension(extension, sniffed) {
+  const ext = extension.toLowerCase();
+  return (
+    ext === sniffed.extension ||
+    (EXTENSION_ALIASES[sniffed.extension] || []).includes(ext)
+  );
+}
@@ -0,0 +1,224 @@
+/**
+ * Content Sources
+ *
+ * A content source returns the raw rows of a spreadsheet tab as an array of
+ * objects keyed by column header, exactly like OpenSheet does. This lets the
+ * asset pipeline read the Work, Home Page and About Page tabs from:
+ *
+ * - opensheet:<base url>  any OpenSheet-compatible endpoint (default: the
+ *                         sheet in site.config.mjs)
+ * - json:<dir>            one <Tab Name>.json fixture per tab
+ * - csv:<dir>             one <Tab Name>.csv export per tab
+ * - xlsx:<file>           a workbook with one sheet per tab
+ *
+ * A bare path is also accepted: directories are read as JSON (or CSV when
+ * they only contain .csv files) and .xlsx files as workbooks.
+ */
+
+import fs from "fs";
+import path from "path";
+import { readSheet } from "./xlsx.js";
+
+// Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Turn a header row + value rows into OpenSheet-style objects.
+// Like OpenSheet, empty cells are omitted and fully empty rows are dropped.
+export function rowsToObjects(table) {
+  const headerIndex = table.findIndex((row) =>
+    row.some((cell) => String(cell).trim() !== "")
+  );
+  if (headerIndex === -1) return [];
+
+  const headers = table[headerIndex].map((cell) => String(cell).trim());
+  const objects = [];
+
+  for (const row of table.slice(headerIndex + 1)) {
+    const object = {};
+    headers.forEach((header, column) => {
+      const value = row[column];
+      if (!header || value === undefined || value === null) return;
+      const text = String(value);
+      if (text.trim() !== "") object[header] = text;
+    });
+    if (Object.keys(object).length > 0) objects.push(object);
+  }
+
+  return objects;
+}
+
+function assertRows(data, tabName) {
+  if (!Array.isArray(data)) {
+    throw new Error(`Expected array from sheet tab ${tabName}`);
+  }
+  return data;
+}
+
+// Fixture files are named after the tab; also accept a slugged variant
+function findTabFile(dir, tabName, extension) {
+  const candidates = [
+    `${tabName}${extension}`,
+    `${tabName.toLowerCase().replace(/[^a-z0-9]+/g, "-")}${extension}`,
+  ];
+  for (const candidate of candidates) {
+    const filepath = path.join(dir, candidate);
+    if (fs.existsSync(filepath)) return filepath;
+  }
+  throw new Error(
+    `No ${extension} file for tab "${tabName}" in ${dir} (tried ${candidates.join(", ")})`
+  );
+}
+
+function createOpenSheetSource(baseUrl) {
+  if (!baseUrl) throw new Error("No OpenSheet URL configured");
+  const base = baseUrl.replace(/\/+$/, "");
+  return {
+    kind: "opensheet",
+    description: base,
+    async fetchTab(tabName) {
+      const url = `${base}/${encodeURIComponent(tabName)}`;
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(
+          `Failed to fetch sheet tab ${tabName}: ${response.status} ${response.statusText}`
+        );
+      }
+      return assertRows(await response.json(), tabName);
+    },
+  };
+}
+
+function createJsonSource(dir) {
+  return {
+    kind: "json",
+    description: dir,
+    async fetchTab(tabName) {
+      const filepath = findTabFile(dir, tabName, ".json");
+      return assertRows(JSON.parse(fs.readFileSync(filepath, "utf8")), tabName);
+    },
+  };
+}
+
+function createCsvSource(dir) {
+  return {
+    kind: "csv",
+    description: dir,
+    async fetchTab(tabName) {
+      const filepath = findTabFile(dir, tabName, ".csv");
+      return rowsToObjects(parseCsv(fs.readFileSync(filepath, "utf8")));
+    },
+  };
+}
+
+function createXlsxSource(filepath) {
+  return {
+    kind: "xlsx",
+    description: filepath,
+    async fetchTab(tabName) {
+      return rowsToObjects(readSheet(filepath, tabName));
+    },
+  };
+}
+
+// Guess the source kind for a bare path
+function inferKind(target) {
+  if (/^https?:\/\//i.test(target)) return "opensheet";
+  if (/\.xlsx$/i.test(target)) return "xlsx";
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    const files = fs.readdirSync(target);
+    const hasJson = files.some((file) => file.endsWith(".json"));
+    const hasCsv = files.some((file) => file.endsWith(".csv"));
+    if (hasCsv && !hasJson) return "csv";
+    return "json";
+  }
+  throw new Error(`Cannot infer content source type for "${target}"`);
+}
+
+// Create a content source from a spec string such as "csv:./exports".
+// `opensheetUrl` is the endpoint used by a bare "opensheet".
+export function createSource(
+  spec,
+  { cwd = process.cwd(), opensheetUrl = null } = {}
+) {
+  if (!spec || spec === "opensheet") return createOpenSheetSource(opensheetUrl);
+
+  const prefixed = spec.match(/^(opensheet|json|csv|xlsx):(.*)$/);
+  const kind = prefixed ? prefixed[1] : inferKind(path.resolve(cwd, spec));
+  const target = prefixed ? prefixed[2] : spec;
+
+  switch (kind) {
+    case "opensheet":
+      return createOpenSheetSource(target || opensheetUrl);
+    case "json":
+      return createJsonSource(path.resolve(cwd, target));
+    case "csv":
+      return createCsvSource(path.resolve(cwd, target));
+    case "xlsx":
+      return createXlsxSource(path.resolve(cwd, target));
+    default:
+      throw new Error(`Unknown content source type: ${kind}`);
+  }
+}
+
+// Wrap a source so every fetched tab is also written as a JSON fixture,
+// producing a directory that can later be read back with "json:<dir>".
+export function withSnapshot(source, dir) {
+  return {
+    ...source,
+    async fetchTab(tabName) {
+      const rows = await source.fetchTab(tabName);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(
+        path.join(dir, `${tabName}.json`),
+        JSON.stringify(rows, null, 2)
+      );
+      return rows;
+    },
+  };
+}
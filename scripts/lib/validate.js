@@ -0,0 +1,150 @@
+/**
+ * Sheet Validation
+ *
+ * Checks the raw rows of a tab against a small column schema and collects
+ * errors and warnings with their sheet row and column, so spreadsheet
+ * mistakes show up in the build log instead of as broken pages.
+ *
+ * A schema is a list of column rules, matched by exact `name` (or a list of
+ * accepted names, the first used in messages) or by a `match` regex:
+ *
+ *   { name: "Project Name", required: true, unique: (value) => slug(value) }
+ *   { name: "Year", pattern: /^\d{4}$/, message: "...", level: "warning" }
+ *   { match: /^Work Image (\d+)$/, check: (value, row) => "problem" | null }
+ *
+ * `required` reports an error when the cell is empty, `recommended` a
+ * warning. `pattern` and `check` report at `level` (default "error"); `check`
+ * also gets the whole row, for rules that depend on another column.
+ * `unique` maps each value to a key and reports rows whose key repeats.
+ */
+
+// Sheet row number of a data row: row 1 holds the headers. OpenSheet drops
+// fully empty rows, so numbers can be off when the sheet has blank rows.
+export function sheetRow(index) {
+  return index + 2;
+}
+
+export class ValidationReport {
+  constructor() {
+    this.issues = [];
+  }
+
+  add(level, tab, row, column, message) {
+    this.issues.push({ level, tab, row, column, message });
+  }
+
+  error(tab, row, column, message) {
+    this.add("error", tab, row, column, message);
+  }
+
+  warn(tab, row, column, message) {
+    this.add("warning", tab, row, column, message);
+  }
+
+  get errors() {
+    return this.issues.filter((issue) => issue.level === "error");
+  }
+
+  get warnings() {
+    return this.issues.filter((issue) => issue.level === "warning");
+  }
+
+  // Print issues grouped by tab, errors first, in row order
+  print(log = console.log) {
+    if (this.issues.length === 0) {
+      log(`✅ Sheet validation passed`);
+      return;
+    }
+
+    log(
+      `\n📋 Sheet validation: ${this.errors.length} errors, ${this.warnings.length} warnings`
+    );
+
+    const tabs = [...new Set(this.issues.map((issue) => issue.tab))];
+    for (const tab of tabs) {
+      log(`\n  ${tab}`);
+      const issues = this.issues
+        .filter((issue) => issue.tab === tab)
+        .sort(
+          (a, b) =>
+            (a.level === "error" ? 0 : 1) - (b.level === "error" ? 0 : 1) ||
+            (a.row ?? 0) - (b.row ?? 0)
+        );
+      for (const { level, row, column, message } of issues) {
+        const icon = level === "error" ? "❌" : "⚠️ ";
+        const location = [
+          row ? `row ${row}` : null,
+          column ? `"${column}"` : null,
+        ]
+          .filter(Boolean)
+          .join(", ");
+        log(`    ${icon} ${location ? `${location}: ` : ""}${message}`);
+      }
+    }
+    log("");
+  }
+}
+
+function ruleNames(rule) {
+  return Array.isArray(rule.name) ? rule.name : [rule.name];
+}
+
+function rulesForColumn(schema, column) {
+  return schema.filter((rule) =>
+    rule.name ? ruleNames(rule).includes(column) : rule.match?.test(column)
+  );
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// Validate every row of a tab, adding issues to `report`
+export function validateRows(report, tab, rows, schema) {
+  const seen = new Map();
+
+  rows.forEach((row, index) => {
+    const rowNumber = sheetRow(index);
+
+    for (const rule of schema.filter((rule) => rule.name)) {
+      const names = ruleNames(rule);
+      if (names.some((name) => !isBlank(row[name]))) continue;
+      if (rule.required) {
+        report.error(tab, rowNumber, names[0], "is required but empty");
+      } else if (rule.recommended) {
+        report.warn(tab, rowNumber, names[0], "is empty");
+      }
+    }
+
+    for (const [column, raw] of Object.entries(row)) {
+      if (isBlank(raw)) continue;
+      const value = String(raw).trim();
+
+      for (const rule of rulesForColumn(schema, column.trim())) {
+        const level = rule.level || "error";
+
+        if (rule.pattern && !rule.pattern.test(value)) {
+          report.add(level, tab, rowNumber, column, rule.message);
+        }
+
+        const problem = rule.check?.(value, row);
+        if (problem) report.add(level, tab, rowNumber, column, problem);
+
+        if (rule.unique) {
+          const key = `${column}\u0000${rule.unique(value)}`;
+          if (seen.has(key)) {
+            report.error(
+              tab,
+              rowNumber,
+              column,
+              rule.uniqueMessage?.(value, seen.get(key)) ||
+                `"${value}" repeats row ${seen.get(key)}`
+            );
+          } else {
+            seen.set(key, rowNumber);
+          }
+        }
+      }
+    }
+  });
+}
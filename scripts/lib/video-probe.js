@@ -0,0 +1,318 @@
+/**
+ * Video Metadata Probe
+ *
+ * Reads duration, display size and whether an audio track exists straight
+ * from the container, without decoding any media:
+ *
+ * - MP4 / MOV (ISO base media file format): moov → mvhd, trak → tkhd/hdlr
+ * - WebM / Matroska (EBML): Segment → Info, Tracks
+ *
+ * A poster frame can additionally be extracted when ffmpeg is installed.
+ */
+
+import fs from "fs";
+import { spawnSync } from "child_process";
+
+// ---------------------------------------------------------------------------
+// ISO BMFF (MP4 / MOV)
+// ---------------------------------------------------------------------------
+
+// Iterate the boxes in buffer[start, end)
+function* boxes(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) return;
+    yield { type, start: offset + header, end: Math.min(offset + size, end) };
+    offset += size;
+  }
+}
+
+function findBox(buffer, parent, type) {
+  for (const box of boxes(buffer, parent.start, parent.end)) {
+    if (box.type === type) return box;
+  }
+  return null;
+}
+
+// Locate the top-level moov box by reading box headers from disk, so that
+// large mdat payloads are never loaded into memory
+function readMoov(filepath) {
+  const fd = fs.openSync(filepath, "r");
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+      fs.readSync(fd, header, 0, 16, offset);
+      let size = header.readUInt32BE(0);
+      const type = header.toString("latin1", 4, 8);
+      if (size === 1) size = Number(header.readBigUInt64BE(8));
+      else if (size === 0) size = fileSize - offset;
+      if (size < 8) return null;
+
+      if (type === "moov") {
+        const moov = Buffer.alloc(size);
+        fs.readSync(fd, moov, 0, size, offset);
+        return moov;
+      }
+      offset += size;
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function probeIsoBmff(filepath) {
+  const moov = readMoov(filepath);
+  if (!moov) throw new Error("No moov box found");
+  const root = [...boxes(moov)][0];
+
+  let duration = null;
+  const mvhd = findBox(moov, root, "mvhd");
+  if (mvhd) {
+    const version = moov.readUInt8(mvhd.start);
+    const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const units =
+      version === 1
+        ? Number(moov.readBigUInt64BE(mvhd.start + 24))
+        : moov.readUInt32BE(mvhd.start + 16);
+    if (timescale > 0) duration = units / timescale;
+  }
+
+  let width = null;
+  let height = null;
+  let hasAudio = false;
+
+  for (const trak of boxes(moov, root.start, root.end)) {
+    if (trak.type !== "trak") continue;
+    const mdia = findBox(moov, trak, "mdia");
+    const hdlr = mdia && findBox(moov, mdia, "hdlr");
+    if (!hdlr) continue;
+    const handler = moov.toString("latin1", hdlr.start + 8, hdlr.start + 12);
+
+    if (handler === "soun") hasAudio = true;
+    if (handler !== "vide" || width) continue;
+
+    const tkhd = findBox(moov, trak, "tkhd");
+    if (!tkhd) continue;
+    const version = moov.readUInt8(tkhd.start);
+    const base = tkhd.start + (version === 1 ? 88 : 76);
+    // Display size is 16.16 fixed point after the transformation matrix
+    width = Math.round(moov.readUInt32BE(base) / 65536);
+    height = Math.round(moov.readUInt32BE(base + 4) / 65536);
+
+    // A 90°/270° rotation matrix (a = 0) swaps the displayed dimensions
+    const matrixA = moov.readInt32BE(base - 36);
+    if (matrixA === 0) [width, height] = [height, width];
+  }
+
+  return { duration, width, height, hasAudio };
+}
+
+// ---------------------------------------------------------------------------
+// EBML (WebM / Matroska)
+// ---------------------------------------------------------------------------
+
+const EBML_IDS = {
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  duration: 0x4489,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackType: 0x83,
+  video: 0xe0,
+  pixelWidth: 0xb0,
+  pixelHeight: 0xba,
+  displayWidth: 0x54b0,
+  displayHeight: 0x54ba,
+  cluster: 0x1f43b675,
+};
+
+// Read a variable-length integer. IDs keep their length marker bits.
+function readVint(buffer, offset, keepMarker) {
+  const first = buffer[offset];
+  if (first === undefined) return null;
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let unknown = value === 0xff >> length;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) unknown = false;
+  }
+  return { value, length, unknown: !keepMarker && unknown };
+}
+
+function* elements(buffer, start, end) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    if (!id) return;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) return;
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+    yield { id: id.value, start: dataStart, end: dataEnd };
+    offset = dataEnd;
+  }
+}
+
+function readUint(buffer, element) {
+  let value = 0;
+  for (let i = element.start; i < element.end; i++) {
+    value = value * 256 + buffer[i];
+  }
+  return value;
+}
+
+function readFloat(buffer, element) {
+  const length = element.end - element.start;
+  if (length === 4) return buffer.readFloatBE(element.start);
+  if (length === 8) return buffer.readDoubleBE(element.start);
+  return null;
+}
+
+function probeEbml(filepath) {
+  // Info and Tracks precede the clusters; the first few MB are plenty
+  const fd = fs.openSync(filepath, "r");
+  const buffer = Buffer.alloc(Math.min(fs.fstatSync(fd).size, 4 * 1024 * 1024));
+  fs.readSync(fd, buffer, 0, buffer.length, 0);
+  fs.closeSync(fd);
+
+  const segment = [...elements(buffer, 0, buffer.length)].find(
+    (element) => element.id === EBML_IDS.segment
+  );
+  if (!segment) throw new Error("No Matroska segment found");
+
+  let timecodeScale = 1000000;
+  let rawDuration = null;
+  let width = null;
+  let height = null;
+  let hasAudio = false;
+
+  for (const child of elements(buffer, segment.start, segment.end)) {
+    if (child.id === EBML_IDS.cluster) break;
+
+    if (child.id === EBML_IDS.info) {
+      for (const field of elements(buffer, child.start, child.end)) {
+        if (field.id === EBML_IDS.timecodeScale) {
+          timecodeScale = readUint(buffer, field);
+        }
+        if (field.id === EBML_IDS.duration)
+          rawDuration = readFloat(buffer, field);
+      }
+    }
+
+    if (child.id === EBML_IDS.tracks) {
+      for (const entry of elements(buffer, child.start, child.end)) {
+        if (entry.id !== EBML_IDS.trackEntry) continue;
+        let type = null;
+        let video = null;
+        for (const field of elements(buffer, entry.start, entry.end)) {
+          if (field.id === EBML_IDS.trackType) type = readUint(buffer, field);
+          if (field.id === EBML_IDS.video) video = field;
+        }
+        if (type === 2) hasAudio = true;
+        if (type === 1 && video && !width) {
+          const size = {};
+          for (const field of elements(buffer, video.start, video.end)) {
+            size[field.id] = readUint(buffer, field);
+          }
+          width =
+            size[EBML_IDS.displayWidth] || size[EBML_IDS.pixelWidth] || null;
+          height =
+            size[EBML_IDS.displayHeight] || size[EBML_IDS.pixelHeight] || null;
+        }
+      }
+    }
+  }
+
+  const duration =
+    rawDuration === null ? null : (rawDuration * timecodeScale) / 1e9;
+  return { duration, width, height, hasAudio };
+}
+
+// ---------------------------------------------------------------------------
+
+// Probe a video file. Returns { duration, width, height, aspectRatio, hasAudio }
+// with duration in seconds; fields that can't be determined are null.
+export function probeVideo(filepath) {
+  const head = Buffer.alloc(12);
+  const fd = fs.openSync(filepath, "r");
+  fs.readSync(fd, head, 0, 12, 0);
+  fs.closeSync(fd);
+
+  let result;
+  if (head.toString("latin1", 4, 8) === "ftyp") {
+    result = probeIsoBmff(filepath);
+  } else if (head.readUInt32BE(0) === 0x1a45dfa3) {
+    result = probeEbml(filepath);
+  } else {
+    throw new Error("Unsupported video container");
+  }
+
+  const { duration, width, height, hasAudio } = result;
+  return {
+    duration: duration === null ? null : Math.round(duration * 1000) / 1000,
+    width,
+    height,
+    aspectRatio:
+      width && height ? Math.round((width / height) * 10000) / 10000 : null,
+    hasAudio,
+  };
+}
+
+let ffmpegAvailable = null;
+
+// Whether an ffmpeg binary is on the PATH (checked once)
+export function hasFfmpeg() {
+  if (ffmpegAvailable === null) {
+    const result = spawnSync("ffmpeg", ["-version"], { stdio: "ignore" });
+    ffmpegAvailable = result.status === 0;
+  }
+  return ffmpegAvailable;
+}
+
+// Extract a JPEG poster frame with ffmpeg. Returns false when ffmpeg is
+// missing or fails.
+export function extractPoster(filepath, posterPath, { duration = null } = {}) {
+  if (!hasFfmpeg()) return false;
+
+  // Skip the first frame, which is often black
+  const seek = duration ? Math.min(1, duration / 2) : 0;
+  const result = spawnSync(
+    "ffmpeg",
+    [
+      "-y",
+      "-loglevel",
+      "error",
+      "-ss",
+      String(seek),
+      "-i",
+      filepath,
+      "-frames:v",
+      "1",
+      "-vf",
+      "scale='min(1920,iw)':-2",
+      "-q:v",
+      "3",
+      posterPath,
+    ],
+    { stdio: "ignore", timeout: 60000 }
+  );
+  return result.status === 0 && fs.existsSync(posterPath);
+}
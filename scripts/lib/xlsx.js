@@ -0,0 +1,260 @@
+/**
+ * Minimal XLSX reader
+ *
+ * Reads the cell values of a single worksheet from an .xlsx workbook using
+ * only Node built-ins (the workbook is a zip archive of XML parts). Formulas
+ * are read from their cached values. Styles and rich text formatting are
+ * ignored, except that date-formatted numbers are returned as ISO dates.
+ */
+
+import fs from "fs";
+import zlib from "zlib";
+
+// Read every entry of a zip archive into a Map of name -> Buffer
+function readZipEntries(buffer) {
+  // The End Of Central Directory record sits in the last 64KB + 22 bytes
+  let eocd = -1;
+  const stop = Math.max(0, buffer.length - 0xffff - 22);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error("Not a zip archive (no end of central directory)");
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    // The local header repeats name/extra with possibly different lengths
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) entries.set(name, data);
+    else if (method === 8) entries.set(name, zlib.inflateRawSync(data));
+    else throw new Error(`Unsupported zip compression method ${method}`);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Concatenate every <t> run inside a fragment (handles rich text runs)
+function collectText(fragment) {
+  let text = "";
+  for (const match of fragment.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(match[1]);
+  }
+  return text;
+}
+
+// "B" -> 1, "AA" -> 26
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, "");
+  let index = 0;
+  for (const char of letters) index = index * 26 + (char.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function readSharedStrings(entries) {
+  const xml = entries.get("xl/sharedStrings.xml");
+  if (!xml) return [];
+  return [...xml.toString("utf8").matchAll(/<si>([\s\S]*?)<\/si>/g)].map(
+    (match) => collectText(match[1])
+  );
+}
+
+// Built-in number formats (ECMA-376 18.8.30) that show a date, and whether
+// they include the time of day. Time-only formats are left as numbers.
+const BUILTIN_DATE_FORMATS = new Map([
+  [14, false],
+  [15, false],
+  [16, false],
+  [17, false],
+  [22, true],
+]);
+
+// For a custom format code: null if it isn't a date, otherwise whether it
+// includes the time of day. Quoted text, escaped characters and [...]
+// sections (colours, locales) are ignored; a lone "m" is a month unless the
+// code also has hours or seconds.
+function customDateFormat(code) {
+  const tokens = code.replace(/"[^"]*"|\\.|[_*].|\[[^\]]*\]/g, "");
+  const hasTime = /[hs]/i.test(tokens);
+  const hasDate = /[dy]/i.test(tokens) || (/m/i.test(tokens) && !hasTime);
+  return hasDate ? hasTime : null;
+}
+
+// For each cell style index (a cell's "s" attribute): null if it doesn't
+// format numbers as dates, otherwise whether it includes the time of day
+function readDateStyles(entries) {
+  const xml = entries.get("xl/styles.xml")?.toString("utf8");
+  if (!xml) return [];
+
+  const custom = new Map();
+  for (const match of xml.matchAll(/<numFmt\s[^>]*\/?>/g)) {
+    const id = Number(getAttribute(match[0], "numFmtId"));
+    const code = getAttribute(match[0], "formatCode") ?? "";
+    custom.set(id, customDateFormat(code));
+  }
+
+  const cellXfs = xml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (!cellXfs) return [];
+  return [...cellXfs[1].matchAll(/<xf\s[^>]*\/?>/g)].map((match) => {
+    const id = Number(getAttribute(match[0], "numFmtId") ?? 0);
+    if (custom.has(id)) return custom.get(id);
+    return BUILTIN_DATE_FORMATS.get(id) ?? null;
+  });
+}
+
+// Workbooks saved with the 1904 date system (old Mac Excel) count from 1904
+function uses1904Dates(entries) {
+  const workbook = entries.get("xl/workbook.xml")?.toString("utf8") ?? "";
+  const properties = workbook.match(/<workbookPr\s[^>]*\/?>/);
+  const value = properties && getAttribute(properties[0], "date1904");
+  return value === "1" || value === "true";
+}
+
+// Serial day number -> "YYYY-MM-DD", or "YYYY-MM-DD HH:MM" with the time.
+// Day 0 is 1899-12-30 so that Excel's phantom 1900-02-29 lines up for every
+// date after it.
+function serialToDate(serial, withTime, date1904) {
+  const days = serial + (date1904 ? 1462 : 0);
+  const seconds = Math.round(days * 86400);
+  const iso = new Date(Date.UTC(1899, 11, 30) + seconds * 1000).toISOString();
+  const date = iso.slice(0, 10);
+  return withTime ? `${date} ${iso.slice(11, 16)}` : date;
+}
+
+// Resolve a sheet name to its worksheet part path via the workbook relationships
+function resolveSheetPath(entries, sheetName) {
+  const workbook = entries.get("xl/workbook.xml");
+  const rels = entries.get("xl/_rels/workbook.xml.rels");
+  if (!workbook || !rels) throw new Error("Missing workbook parts in XLSX");
+
+  const sheets = [
+    ...workbook.toString("utf8").matchAll(/<sheet\s[^>]*\/?>/g),
+  ].map((match) => ({
+    name: getAttribute(match[0], "name"),
+    relId: getAttribute(match[0], "r:id"),
+  }));
+  const sheet = sheets.find((s) => s.name === sheetName);
+  if (!sheet) {
+    throw new Error(
+      `Sheet "${sheetName}" not found (available: ${sheets
+        .map((s) => s.name)
+        .join(", ")})`
+    );
+  }
+
+  const relationship = [
+    ...rels.toString("utf8").matchAll(/<Relationship\s[^>]*\/?>/g),
+  ].find((match) => getAttribute(match[0], "Id") === sheet.relId);
+  if (!relationship) {
+    throw new Error(`No relationship found for sheet "${sheetName}"`);
+  }
+
+  const target = getAttribute(relationship[0], "Target");
+  return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+}
+
+// List the sheet names of a workbook
+export function listSheets(filepath) {
+  const entries = readZipEntries(fs.readFileSync(filepath));
+  const workbook = entries.get("xl/workbook.xml");
+  if (!workbook) return [];
+  return [...workbook.toString("utf8").matchAll(/<sheet\s[^>]*\/?>/g)].map(
+    (match) => getAttribute(match[0], "name")
+  );
+}
+
+// Read a worksheet as an array of rows, each an array of cell strings
+export function readSheet(filepath, sheetName) {
+  const entries = readZipEntries(fs.readFileSync(filepath));
+  const sharedStrings = readSharedStrings(entries);
+  const dateStyles = readDateStyles(entries);
+  const date1904 = uses1904Dates(entries);
+  const sheetXml = entries.get(resolveSheetPath(entries, sheetName));
+  if (!sheetXml) throw new Error(`Worksheet for "${sheetName}" is missing`);
+
+  const rows = [];
+  // Rows holding only a height or style are written self-closing
+  const rowMatches = sheetXml
+    .toString("utf8")
+    .matchAll(/<row\s([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g);
+
+  for (const rowMatch of rowMatches) {
+    const rowNumber =
+      Number(getAttribute(` ${rowMatch[1]}`, "r")) || rows.length + 1;
+    const cells = [];
+
+    const cellMatches = (rowMatch[2] || "").matchAll(
+      /<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+    );
+    for (const cellMatch of cellMatches) {
+      const attributes = ` ${cellMatch[1]}`;
+      const body = cellMatch[2] || "";
+      const ref = getAttribute(attributes, "r");
+      const type = getAttribute(attributes, "t");
+      const valueMatch = body.match(/<v>([\s\S]*?)<\/v>/);
+      const raw = valueMatch ? decodeXml(valueMatch[1]) : "";
+
+      let value = raw;
+      if (type === "s") value = sharedStrings[Number(raw)] ?? "";
+      else if (type === "inlineStr") value = collectText(body);
+      else if (type === "b") value = raw === "1" ? "TRUE" : "FALSE";
+      else if ((!type || type === "n") && raw !== "") {
+        // Dates are numbers with a date format; return them as they read
+        const style = Number(getAttribute(attributes, "s") ?? 0);
+        const withTime = dateStyles[style];
+        if (withTime != null && Number.isFinite(Number(raw))) {
+          value = serialToDate(Number(raw), withTime, date1904);
+        }
+      }
+
+      const index = ref ? columnIndex(ref) : cells.length;
+      cells[index] = value;
+    }
+
+    // Rows may be sparse (blank rows are omitted from the XML)
+    rows[rowNumber - 1] = Array.from(cells, (cell) => cell ?? "");
+  }
+
+  return Array.from(rows, (row) => row ?? []);
+}
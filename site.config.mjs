@@ -0,0 +1,136 @@
+// @ts-check
+
+// Everything that changes when this site is set up for another artist.
+// Validated by src/site-config.js, which astro.config.mjs, the content
+// config, components and scripts/build-assets.js all read it through.
+
+/** @type {import('./src/site-config.js').SiteConfigInput} */
+export default {
+  site: {
+    title: 'Iley Cao',
+    description: 'Iley Cao - Social Art Director & Multimedia Designer',
+    // Canonical URLs, the sitemap and feeds use this; `astro build` refuses
+    // a placeholder. The SITE_URL environment variable overrides it.
+    url: 'https://example.com',
+    // Phrases that take turns after the title in the header: seconds each
+    // one stays (hold) and seconds each fade out and in takes (fade)
+    tagline: {
+      phrases: [
+        'is a social art director',
+        'creates viral content',
+        'designs multimedia experiences',
+        'specializes in brand storytelling',
+        'crafts digital narratives',
+        'leads creative campaigns',
+      ],
+      hold: 2,
+      fade: 0.5,
+    },
+    // Header links; the footer lists them after Home
+    nav: [
+      { label: 'Work', url: '/projects' },
+      { label: 'About', url: '/about' },
+    ],
+    // {year} is replaced with the current year
+    footer: '© {year} Iley Cao.',
+  },
+
+  // The person behind the site: the footer and the structured data search
+  // engines read (src/structured-data.js). Title, description, tagline, nav,
+  // footer, email and links can also be set in the sheet's Site Settings tab
+  // (see src/settings.js).
+  artist: {
+    name: 'Iley Cao',
+    jobTitle: 'Social Art Director & Multimedia Designer',
+    email: 'iley.cao@gmail.com',
+    links: [
+      { label: 'Linkedin', url: 'https://www.linkedin.com/in/iley-cao/' },
+      { label: 'Instagram', url: 'https://www.instagram.com/iley.c/' },
+    ],
+  },
+
+  sheet: {
+    // The ID in the Google Sheet's URL; the sheet must be shared publicly
+    id: '1o30Uy7jtfAR2lc20Cycahrk13tq_SDdKkIbNQnQvTRY',
+    tabs: {
+      work: 'Work',
+      home: 'Home Page',
+      about: 'About Page',
+      settings: 'Site Settings',
+    },
+  },
+
+  // Sheet headers per field. A list accepts older spellings of a header;
+  // the first one is used in validation messages.
+  columns: {
+    work: {
+      projectName: 'Project Name',
+      slug: 'Slug',
+      year: 'Year',
+      categories: 'Categories',
+      shortDescription: 'Short Description',
+      role: 'Role',
+      description: 'Description (Optional)',
+      credit: 'Credit',
+      heroMoment: 'Hero Moment',
+      // Groups a brand's projects as related work
+      client: 'Client',
+      thumbnailImage: 'Thumbnail Image',
+      order: 'Order',
+      featured: 'Featured',
+      status: ['Status', 'Status (Draft/Published/Unlisted)'],
+      publishDate: 'Publish Date',
+    },
+    // Numbered media columns: "<prefix> N", "<prefix> N <description>" and
+    // "<prefix> N <alt>"
+    media: {
+      prefix: ['Work Image/Video', 'Work Image', 'Work Video'],
+      description: 'Description',
+      alt: ['Alt', 'Alt Text'],
+    },
+    home: {
+      media: 'Work Link',
+      project: 'Project',
+      client: 'Client',
+    },
+    // One row per bio paragraph, contact link, client, experience entry or
+    // the profile image, named in Section (see src/about.js)
+    about: {
+      section: 'Section',
+      text: 'Text',
+      link: 'Link',
+      detail: 'Detail',
+    },
+    // One row per setting, named in Setting (see src/settings.js)
+    settings: {
+      setting: 'Setting',
+      value: 'Value',
+      label: 'Label',
+    },
+  },
+
+  assets: {
+    maxFileSizeMb: 100,
+    // Sheet cells like "edie-parker/hero.mp4" are copied from this folder
+    localMediaDir: 'media',
+  },
+
+  // Generated files, relative to the project root
+  paths: {
+    projects: 'src/data/projects.json',
+    home: 'src/data/homepage-local.json',
+    about: 'src/data/aboutpage-local.json',
+    settings: 'src/data/site-settings.json',
+    manifest: 'src/data/asset-manifest.json',
+    slugHistory: 'src/data/slug-history.json',
+    assets: 'public/assets/projects',
+    derived: 'public/assets/derived',
+    staging: '.cache/downloads',
+  },
+
+  carousel: {
+    // Home Page "Project" values whose page slug isn't simply the name
+    // lowercased with dashes, e.g. { 'Milk': 'milk-makeup-jelly-tint' }
+    projectSlugs: {},
+  },
+};
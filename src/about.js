@@ -0,0 +1,106 @@
+// The About page, from the sheet's About Page tab. Each row is one piece of
+// the page, named in its Section column: a bio paragraph (Markdown), a
+// contact link, a client, an experience entry or the profile image. Sections
+// the tab leaves empty fall back to the copy below, so the page still reads
+// before the tab is filled in.
+
+import { config } from './site-config.js';
+
+// Section column values (case-insensitive) for each part of the page
+export const ABOUT_SECTIONS = {
+	bio: ['Bio', 'About'],
+	contact: ['Contact', 'Link', 'Social'],
+	client: ['Client', 'Clients'],
+	experience: ['Experience', 'CV'],
+	image: ['Profile Image', 'Image', 'Photo'],
+};
+
+// Key of ABOUT_SECTIONS a Section cell names, or null
+export function aboutSection(value) {
+	const name = String(value ?? '').trim().toLowerCase();
+	for (const [key, names] of Object.entries(ABOUT_SECTIONS)) {
+		if (names.some((candidate) => candidate.toLowerCase() === name)) return key;
+	}
+	return null;
+}
+
+// The page as it was written before the tab existed
+const FALLBACK = {
+	bio: [
+		'I’m a social art director and multimedia designer that specializes in video, world-building, and visual storytelling. My work blends strategy, creative direction, and content creation to craft scroll-stopping social and digital campaigns that drive engagement and elevate brand presence.',
+		'With a background in both design and strategy, I create visually compelling content that aligns with marketing goals while resonating with audiences. From concept to execution—I bring ideas to life across platforms.',
+		'In this ever changing digital landscape, I know how to pivot quickly, adapt to trends, and execute with intention and impact. I’m energized by environments where creativity moves at the speed of culture, and the occasional matcha latte.',
+	],
+	clients: ['Milk Makeup', 'Eadem', 'PBS', 'Glow Recipe', 'Dawang NEW YORK', 'Edie Parker', 'Def Jam Recordings'].map(
+		(name) => ({ name, url: '' })
+	),
+	image: { src: '/img/profile.jpg', alt: config.artist.name, meta: null },
+};
+
+// The site's email and social links (see src/settings.js)
+function siteContacts(settings) {
+	return [
+		...(settings.email ? [{ label: settings.email, url: `mailto:${settings.email}` }] : []),
+		...settings.social.map((link) => ({ label: link.label, url: link.url })),
+	];
+}
+
+function cell(row, headers) {
+	for (const header of headers) {
+		const value = row[header];
+		if (typeof value === 'string' && value.trim()) return value.trim();
+	}
+	return '';
+}
+
+// A Link cell as a link for the page; bare email addresses become mailto:
+// links
+export function aboutHref(link) {
+	return /^[^\s@/:]+@[^\s@/]+\.[^\s@/]+$/.test(link) ? `mailto:${link}` : link;
+}
+
+// Page content from the tab's rows (src/data/aboutpage-local.json) as
+// { bio, contacts, clients, experience, image }. `bio` is a list of Markdown
+// paragraphs; rows with an unknown section are ignored (build-assets.js
+// reports them). Contacts fall back to the email and social links in
+// `settings`.
+export function aboutFromRows(rows, settings, columns = config.columns.about) {
+	const about = { bio: [], contacts: [], clients: [], experience: [], image: null };
+
+	for (const row of rows) {
+		const text = cell(row, columns.text);
+		const link = cell(row, columns.link);
+		const detail = cell(row, columns.detail);
+
+		switch (aboutSection(cell(row, columns.section))) {
+			case 'bio':
+				if (text) about.bio.push(text);
+				break;
+			case 'contact':
+				if (link) about.contacts.push({ label: text || link, url: aboutHref(link) });
+				break;
+			case 'client':
+				if (text) about.clients.push({ name: text, url: aboutHref(link) });
+				break;
+			case 'experience':
+				if (text) about.experience.push({ title: text, detail, url: aboutHref(link) });
+				break;
+			case 'image': {
+				const header = columns.link.find((name) => row[name]);
+				if (link && !about.image) {
+					about.image = { src: link, alt: text || config.artist.name, meta: row.mediaMeta?.[header] ?? null };
+				}
+				break;
+			}
+		}
+	}
+
+	return {
+		bio: about.bio.length ? about.bio : FALLBACK.bio,
+		contacts: about.contacts.length ? about.contacts : siteContacts(settings),
+		clients: about.clients.length ? about.clients : FALLBACK.clients,
+		// Optional: the page leaves the section out when there are no entries
+		experience: about.experience,
+		image: about.image ?? FALLBACK.image,
+	};
+}
@@ -0,0 +1,30 @@
+// Category tags parsed from the Work tab's free-form Categories cell, e.g.
+// "Social, Art Direction / Video" → Social, Art Direction and Video. Tags
+// are matched by slug, so "art direction" and "Art Direction" are one tag.
+
+import { slugify } from './slugs.js';
+
+// Tags in a Categories cell, in cell order, as { slug, name }
+export function parseCategories(text) {
+	const tags = new Map();
+	for (const part of String(text ?? '').split(/[,/;|\n]/)) {
+		const name = part.replace(/\s+/g, ' ').trim();
+		const slug = slugify(name);
+		if (slug && !tags.has(slug)) tags.set(slug, { slug, name });
+	}
+	return [...tags.values()];
+}
+
+// Every tag used by `projects` with its project count, most used first. A
+// tag is named after its first spelling in project order.
+export function collectTags(projects) {
+	const tags = new Map();
+	for (const project of projects) {
+		for (const tag of parseCategories(project.data.categories)) {
+			const entry = tags.get(tag.slug) ?? { ...tag, count: 0 };
+			entry.count += 1;
+			tags.set(tag.slug, entry);
+		}
+	}
+	return [...tags.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
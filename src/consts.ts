@@ -1,5 +1,11 @@
 // Place any global data in this file.
 // You can import this data from anywhere in your site by using the `import` keyword.
 
-export const SITE_TITLE = 'Iley Cao';
-export const SITE_DESCRIPTION = 'Iley Cao - Social Art Director & Multimedia Designer';
+import { loadSettings } from './settings.js';
+
+// site.config.mjs defaults with the sheet's Site Settings tab on top (see
+// src/settings.js)
+export const settings = loadSettings();
+
+export const SITE_TITLE = settings.title;
+export const SITE_DESCRIPTION = settings.description;
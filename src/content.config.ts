@@ -1,26 +1,49 @@
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
 import { defineCollection, z } from 'astro:content';
 import { glob, file } from 'astro/loaders';
+import { config, SITE_LINK, SITE_LINK_MESSAGE } from './site-config.js';
+import { projectSlug } from './slugs.js';
+import { aboutFromRows } from './about.js';
+import { settings } from './consts';
+
+// Intrinsic size and responsive sources (images) or duration, audio and
+// poster frame (videos), plus the sniffed MIME type, recorded by
+// scripts/build-assets.js
+const mediaMeta = z.object({
+	width: z.number().nullable().optional(),
+	height: z.number().nullable().optional(),
+	sources: z.array(z.object({ type: z.string(), srcset: z.string() })).default([]),
+	fallback: z.string().nullable().optional(),
+	duration: z.number().nullable().optional(),
+	aspectRatio: z.number().nullable().optional(),
+	hasAudio: z.boolean().optional(),
+	poster: z.string().nullable().optional(),
+	mime: z.string().nullable().optional(),
+});
+
+// One piece of work on the project page, in sheet column order
+const mediaItem = z.object({
+	src: z.string(),
+	description: z.string().default(''),
+	type: z.enum(['image', 'video', 'audio', 'document', 'youtube', 'vimeo', 'unknown']).default('unknown'),
+	alt: z.string().default(''),
+	meta: mediaMeta.optional(),
+});
 
 const projects = defineCollection({
-	loader: file('src/data/projects.json', {
+	loader: file(config.paths.projects, {
 		parser: (text) => {
 			const projects = JSON.parse(text);
-			return projects.map((project, index) => {
-				const id = project.projectName
-					.toLowerCase()
-					.replace(/[^a-z0-9]+/g, '-')
-					.replace(/^-+|-+$/g, '')
-					|| `project-${index + 1}`;
-
-				return {
-					id,
-					...project
-				};
-			});
+			return projects.map((project, index) => ({
+				id: projectSlug(project, index),
+				...project
+			}));
 		}
 	}),
 	schema: z.object({
 		projectName: z.string().default(''),
+		slug: z.string().default(''),
 		year: z.string().default(''),
 		categories: z.string().default(''),
 		shortDescription: z.string().default(''),
@@ -28,28 +51,56 @@ const projects = defineCollection({
 		role: z.string().default(''),
 		credit: z.string().default(''),
 		heroMoment: z.string().default(''),
+		// Related work (see src/projects.js)
+		client: z.string().default(''),
 		thumbnailImage: z.string().default(''),
-		workImage1: z.string().default(''),
-		workImage1Description: z.string().default(''),
-		workImage2: z.string().default(''),
-		workImage2Description: z.string().default(''),
-		workImage3: z.string().default(''),
-		workImage3Description: z.string().default(''),
-		workImage4: z.string().default(''),
-		workImage4Description: z.string().default(''),
-		workImage5: z.string().default(''),
-		workImage5Description: z.string().default(''),
-		workImage6: z.string().default(''),
-		workImage6Description: z.string().default(''),
-		workImage7: z.string().default(''),
-		workImage7Description: z.string().default(''),
-		workImage8: z.string().default(''),
-		workImage8Description: z.string().default(''),
-		workImage9: z.string().default(''),
-		workImage9Description: z.string().default(''),
-		workImage10: z.string().default(''),
-		workImage10Description: z.string().default(''),
+		// Publishing columns (see src/projects.js)
+		order: z.number().nullable().default(null),
+		featured: z.boolean().default(false),
+		status: z.enum(['draft', 'published', 'unlisted']).default('published'),
+		publishDate: z.union([z.null(), z.coerce.date()]).default(null),
+		media: z.array(mediaItem).default([]),
+		mediaMeta: z.record(z.string(), mediaMeta).default({}),
+	}),
+});
+
+// Where a link on the About page can point
+const href = z.string().regex(SITE_LINK, SITE_LINK_MESSAGE);
+
+// The About page as a single entry with the bio rendered from Markdown (see
+// src/about.js). The entry always exists: sections the About Page tab leaves
+// empty fall back to built-in copy.
+const about = defineCollection({
+	loader: {
+		name: 'about-page',
+		load: async ({ config: astroConfig, store, parseData, renderMarkdown, watcher, logger }) => {
+			const filePath = fileURLToPath(new URL(config.paths.about, astroConfig.root));
+			const sync = async () => {
+				const rows = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+				const data = await parseData({ id: 'about', data: aboutFromRows(rows, settings) });
+				store.clear();
+				store.set({ id: 'about', data, rendered: await renderMarkdown(data.bio.join('\n\n')) });
+			};
+			await sync();
+			watcher?.add(filePath);
+			watcher?.on('change', async (changedPath) => {
+				if (changedPath === filePath) {
+					logger.info(`Reloading data from ${config.paths.about}`);
+					await sync();
+				}
+			});
+		},
+	},
+	schema: z.object({
+		// Markdown paragraphs
+		bio: z.array(z.string().min(1)).nonempty(),
+		contacts: z.array(z.object({ label: z.string().min(1), url: href })),
+		clients: z.array(z.object({ name: z.string().min(1), url: href.or(z.literal('')) })),
+		experience: z.array(
+			z.object({ title: z.string().min(1), detail: z.string(), url: href.or(z.literal('')) })
+		),
+		image: z.object({ src: z.string().min(1), alt: z.string(), meta: mediaMeta.nullable() }),
 	}),
 });
 
-export const collections = { projects };
+export const collections = { projects, about };
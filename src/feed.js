@@ -0,0 +1,75 @@
+// Items for the RSS feed (src/pages/rss.xml.js) and JSON Feed
+// (src/pages/feed.json.js), built from the listed projects, newest first.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { getProjects, projectDate } from './projects.js';
+import { parseCategories } from './categories.js';
+
+// For media the build recorded no MIME type for (e.g. local files added by hand)
+const MIME_TYPES = {
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	png: 'image/png',
+	gif: 'image/gif',
+	webp: 'image/webp',
+	avif: 'image/avif',
+	svg: 'image/svg+xml',
+	mp4: 'video/mp4',
+	m4v: 'video/mp4',
+	mov: 'video/quicktime',
+	webm: 'video/webm',
+	ogv: 'video/ogg',
+};
+
+// Size in bytes of a file under public/, or null for remote URLs
+function fileSize(src) {
+	if (!src.startsWith('/')) return null;
+	try {
+		return fs.statSync(path.join(process.cwd(), 'public', decodeURI(src))).size;
+	} catch {
+		return null;
+	}
+}
+
+function attachment(src, meta, title) {
+	const extension = src.split(/[?#]/)[0].split('.').pop()?.toLowerCase();
+	const type = meta?.mime || MIME_TYPES[extension];
+	return type ? { url: src, type, size: fileSize(src), title } : null;
+}
+
+// Feed items as { project, url, title, summary, content, categories, date,
+// image, attachments }. `attachments` holds the thumbnail and the project's
+// videos as { url, type, size, title }; URLs are site-relative.
+export async function getFeedItems() {
+	const projects = await getProjects();
+	const items = projects.map((project) => {
+		const { data } = project;
+		const thumbnail = data.thumbnailImage
+			? attachment(data.thumbnailImage, data.mediaMeta.thumbnailImage, `${data.projectName} thumbnail`)
+			: null;
+		const videos = data.media
+			.filter((item) => item.type === 'video')
+			.map((item) => attachment(item.src, item.meta, item.description || item.alt));
+		const attachments = [thumbnail, ...videos].filter(
+			(file, index, all) => file && all.findIndex((other) => other?.url === file.url) === index
+		);
+		return {
+			project,
+			url: `/projects/${project.id}/`,
+			title: data.projectName,
+			summary: data.shortDescription,
+			content: data.description || data.shortDescription,
+			categories: parseCategories(data.categories).map((tag) => tag.name),
+			date: projectDate(project),
+			image: thumbnail?.type.startsWith('image/') ? thumbnail.url : null,
+			attachments,
+		};
+	});
+	// Undated projects go last; Array.sort is stable, so ties keep the
+	// /projects order
+	return items.sort((a, b) => {
+		if (!a.date || !b.date) return Number(!a.date) - Number(!b.date);
+		return b.date.getTime() - a.date.getTime();
+	});
+}
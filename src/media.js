@@ -0,0 +1,74 @@
+// Media URL helpers, shared by the gallery (src/components/MediaViewer.astro)
+// and the lightbox (src/components/MediaLightbox.astro).
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg'];
+const VIDEO_EXTENSIONS = ['mp4', 'm4v', 'mov', 'avi', 'webm', 'ogv'];
+const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'aac', 'wav', 'ogg', 'flac'];
+
+// Extract YouTube video ID from URL
+export function getYouTubeVideoId(url) {
+	if (!url) return null;
+
+	const patterns = [
+		/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\n?#]+)/,
+		/youtube\.com\/v\/([^&\n?#]+)/,
+		/youtube\.com\/shorts\/([^&\n?#]+)/,
+	];
+
+	for (const pattern of patterns) {
+		const match = url.match(pattern);
+		if (match && match[1]) {
+			return match[1];
+		}
+	}
+
+	return null;
+}
+
+// Extract Vimeo video ID (and private link hash) from URL
+export function getVimeoEmbedUrl(url) {
+	const match = url.match(/vimeo\.com\/(?:video\/|channels\/[^/]+\/)?(\d+)(?:\/([0-9a-f]+))?/);
+	if (!match) return null;
+	const hash = match[2] || url.match(/[?&]h=([0-9a-f]+)/)?.[1];
+	return `https://player.vimeo.com/video/${match[1]}?${hash ? `h=${hash}&` : ''}dnt=1`;
+}
+
+// Determine media type from the sniffed MIME type, file extension or URL
+export function getMediaType(url, mime) {
+	if (!url) return 'unknown';
+
+	// Check if it's a YouTube URL first
+	if (getYouTubeVideoId(url)) {
+		return 'youtube';
+	}
+	if (getVimeoEmbedUrl(url)) return 'vimeo';
+
+	if (mime === 'application/pdf') return 'document';
+	const group = mime?.split('/')[0];
+	if (group === 'image' || group === 'video' || group === 'audio') {
+		return group;
+	}
+
+	const extension = url.split(/[?#]/)[0].split('.').pop()?.toLowerCase();
+
+	if (IMAGE_EXTENSIONS.includes(extension || '')) return 'image';
+	if (VIDEO_EXTENSIONS.includes(extension || '')) return 'video';
+	if (AUDIO_EXTENSIONS.includes(extension || '')) return 'audio';
+	if (extension === 'pdf') return 'document';
+
+	return 'unknown';
+}
+
+// `type` for a video's <source>, from the sniffed MIME type or, when none was
+// recorded, the file extension. Browsers skip sources whose type they don't
+// recognise, so only the standard web video types are given; QuickTime,
+// Matroska, AVI and unknown formats get none and are left to the browser to
+// probe (many of them play anyway).
+const VIDEO_SOURCE_TYPES = { mp4: 'video/mp4', m4v: 'video/mp4', webm: 'video/webm', ogv: 'video/ogg' };
+const WEB_VIDEO_TYPES = new Set(Object.values(VIDEO_SOURCE_TYPES));
+
+export function getVideoSourceType(url, mime) {
+	if (mime) return WEB_VIDEO_TYPES.has(mime) ? mime : undefined;
+	const extension = url.split(/[?#]/)[0].split('.').pop()?.toLowerCase();
+	return VIDEO_SOURCE_TYPES[extension || ''];
+}
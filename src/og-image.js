@@ -0,0 +1,109 @@
+// Open Graph share cards (1200×630 JPEG), rendered with sharp when the site
+// is built: the project thumbnail on the right, name, role and site title on
+// the left. Served by src/pages/og/ and referenced from BaseHead.astro.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+// Where the card for the project page at /projects/<slug> is served
+// (src/pages/og/projects/[slug].jpg.js)
+export function projectCardUrl(slug) {
+	return `/og/projects/${slug}.jpg`;
+}
+
+const PADDING = 64;
+const PANEL_WIDTH = 520;
+const BACKGROUND = '#111111';
+const FOREGROUND = '#ffffff';
+const MUTED = '#a3a3a3';
+
+// Text is set in the bundled Atkinson Hyperlegible Bold so cards look the
+// same whatever fonts the build machine has. Pango only loads TrueType/OpenType
+// files, so this is public/fonts/atkinson-bold.woff unpacked to TTF.
+const FONT_FILE = path.join(process.cwd(), 'src/assets/fonts/atkinson-bold.ttf');
+const FONT_FAMILY = 'Atkinson Hyperlegible';
+
+function escapeMarkup(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// A block of wrapped text as a PNG with transparency. Text taller than
+// `maxHeight` is scaled down to fit.
+async function textBlock(text, { size, color, width, maxHeight }) {
+	const options = {
+		text: `<span foreground="${color}">${escapeMarkup(text)}</span>`,
+		font: `${FONT_FAMILY} Bold ${size}`,
+		fontfile: FONT_FILE,
+		width,
+		rgba: true,
+	};
+	let block = await sharp({ text: options }).png().toBuffer({ resolveWithObject: true });
+	if (block.info.height > maxHeight) {
+		block = await sharp({ text: { ...options, height: maxHeight } })
+			.png()
+			.toBuffer({ resolveWithObject: true });
+	}
+	return block;
+}
+
+// Path of a site-relative image under public/, or null if it isn't a local
+// image file
+export function localImage(src) {
+	if (!src || !src.startsWith('/')) return null;
+	const file = path.join(process.cwd(), 'public', decodeURI(src));
+	return /\.(jpe?g|png|webp|avif|gif)$/i.test(file) && fs.existsSync(file) ? file : null;
+}
+
+// Render a card. `image` is a file path (see localImage) or null for a card
+// with text only; `eyebrow` is the small line above the title.
+export async function renderCard({ title, subtitle = '', eyebrow = '', image = null }) {
+	const layers = [];
+	const width = (image ? PANEL_WIDTH : CARD_WIDTH) - PADDING * 2;
+
+	if (image) {
+		const photo = await sharp(image)
+			.rotate()
+			.resize(CARD_WIDTH - PANEL_WIDTH, CARD_HEIGHT, { fit: 'cover', position: 'attention' })
+			.toBuffer();
+		layers.push({ input: photo, left: PANEL_WIDTH, top: 0 });
+	}
+
+	if (eyebrow) {
+		const block = await textBlock(eyebrow.toUpperCase(), { size: 22, color: MUTED, width, maxHeight: 60 });
+		layers.push({ input: block.data, left: PADDING, top: PADDING });
+	}
+
+	// Title and subtitle sit together at the bottom of the panel
+	const titleBlock = await textBlock(title, {
+		size: image ? 56 : 80,
+		color: FOREGROUND,
+		width,
+		maxHeight: 300,
+	});
+	const subtitleBlock = subtitle
+		? await textBlock(subtitle, { size: 28, color: MUTED, width, maxHeight: 120 })
+		: null;
+	const gap = subtitleBlock ? 24 : 0;
+	let top = CARD_HEIGHT - PADDING - titleBlock.info.height - gap - (subtitleBlock?.info.height ?? 0);
+	layers.push({ input: titleBlock.data, left: PADDING, top });
+	if (subtitleBlock) {
+		top += titleBlock.info.height + gap;
+		layers.push({ input: subtitleBlock.data, left: PADDING, top });
+	}
+
+	return sharp({
+		create: {
+			width: CARD_WIDTH,
+			height: CARD_HEIGHT,
+			channels: 3,
+			background: BACKGROUND,
+		},
+	})
+		.composite(layers)
+		.jpeg({ quality: 85, mozjpeg: true })
+		.toBuffer();
+}
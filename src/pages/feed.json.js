@@ -0,0 +1,38 @@
+import { SITE_DESCRIPTION, SITE_TITLE } from '../consts';
+import { getFeedItems } from '../feed.js';
+
+// JSON Feed 1.1 (https://jsonfeed.org/version/1.1) with the same items as
+// /rss.xml
+export async function GET(context) {
+	const items = await getFeedItems();
+	const absolute = (url) => new URL(url, context.site).href;
+	const feed = {
+		version: 'https://jsonfeed.org/version/1.1',
+		title: SITE_TITLE,
+		description: SITE_DESCRIPTION,
+		home_page_url: absolute('/'),
+		feed_url: absolute('/feed.json'),
+		items: items.map((item) => ({
+			id: absolute(item.url),
+			url: absolute(item.url),
+			title: item.title,
+			summary: item.summary || undefined,
+			content_text: item.content || item.title,
+			image: item.image ? absolute(item.image) : undefined,
+			date_published: item.date?.toISOString(),
+			tags: item.categories.length ? item.categories : undefined,
+			attachments: item.attachments.length
+				? item.attachments.map((file) => ({
+						url: absolute(file.url),
+						mime_type: file.type,
+						title: file.title || undefined,
+						size_in_bytes: file.size ?? undefined,
+					}))
+				: undefined,
+		})),
+	};
+
+	return new Response(JSON.stringify(feed), {
+		headers: { 'Content-Type': 'application/feed+json' },
+	});
+}
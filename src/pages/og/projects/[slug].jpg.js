@@ -0,0 +1,36 @@
+import { getProjects } from '../../../projects.js';
+import { localImage, renderCard } from '../../../og-image.js';
+import { SITE_TITLE } from '../../../consts';
+
+// Share card for every project page, unlisted ones included since those are
+// the ones shared by link
+export async function getStaticPaths() {
+	const projects = await getProjects({ unlisted: true });
+	return projects.map((project) => ({
+		params: { slug: project.id },
+		props: { project },
+	}));
+}
+
+// The thumbnail, its poster frame if it is a video, or the first image in
+// the gallery
+function cardImage(project) {
+	const { thumbnailImage, mediaMeta, media } = project.data;
+	return (
+		localImage(thumbnailImage) ||
+		localImage(mediaMeta.thumbnailImage?.poster) ||
+		media.map((item) => localImage(item.src) || localImage(item.meta?.poster)).find(Boolean) ||
+		null
+	);
+}
+
+export async function GET({ props }) {
+	const { project } = props;
+	const jpeg = await renderCard({
+		eyebrow: SITE_TITLE,
+		title: project.data.projectName,
+		subtitle: project.data.role,
+		image: cardImage(project),
+	});
+	return new Response(jpeg, { headers: { 'Content-Type': 'image/jpeg' } });
+}
@@ -0,0 +1,8 @@
+import { renderCard } from '../../og-image.js';
+import { SITE_DESCRIPTION, SITE_TITLE } from '../../consts';
+
+// Share card for pages without their own (home, /projects, /about)
+export async function GET() {
+	const jpeg = await renderCard({ title: SITE_TITLE, subtitle: SITE_DESCRIPTION });
+	return new Response(jpeg, { headers: { 'Content-Type': 'image/jpeg' } });
+}
@@ -1,16 +1,50 @@
-import { getCollection } from 'astro:content';
 import rss from '@astrojs/rss';
 import { SITE_DESCRIPTION, SITE_TITLE } from '../consts';
+import { getFeedItems } from '../feed.js';
+
+function escapeXml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+// Media RSS elements for every attachment (RSS itself allows one enclosure)
+function mediaElements(item, site) {
+	const elements = item.attachments.map((file) => {
+		const medium = file.type.split('/')[0];
+		const size = file.size ? ` fileSize="${file.size}"` : '';
+		return `<media:content url="${escapeXml(new URL(file.url, site))}" type="${file.type}" medium="${medium}"${size}/>`;
+	});
+	if (item.image) {
+		elements.push(`<media:thumbnail url="${escapeXml(new URL(item.image, site))}"/>`);
+	}
+	return elements.join('');
+}
 
 export async function GET(context) {
-	const posts = await getCollection('blog');
+	const items = await getFeedItems();
 	return rss({
 		title: SITE_TITLE,
 		description: SITE_DESCRIPTION,
 		site: context.site,
-		items: posts.map((post) => ({
-			...post.data,
-			link: `/blog/${post.id}/`,
-		})),
+		xmlns: { media: 'http://search.yahoo.com/mrss/' },
+		items: items.map((item) => {
+			const [enclosure] = item.attachments;
+			return {
+				title: item.title,
+				link: item.url,
+				description: item.summary,
+				pubDate: item.date ?? undefined,
+				categories: item.categories,
+				enclosure: enclosure && {
+					url: enclosure.url,
+					type: enclosure.type,
+					length: enclosure.size ?? 0,
+				},
+				customData: mediaElements(item, context.site),
+			};
+		}),
 	});
 }
@@ -0,0 +1,36 @@
+import { getProjects } from '../projects.js';
+import { parseCategories } from '../categories.js';
+
+// Index for the site search (src/components/SearchOverlay.astro), built from
+// the listed projects. `kind` picks the field's weight in src/scripts/search.js.
+export async function GET() {
+	const projects = await getProjects();
+	const index = projects.map((project) => {
+		const { data } = project;
+		const fields = [
+			{ kind: 'year', label: 'Year', text: data.year },
+			{ kind: 'role', label: 'Role', text: data.role },
+			{
+				kind: 'categories',
+				label: 'Categories',
+				text: parseCategories(data.categories)
+					.map((tag) => tag.name)
+					.join(', '),
+			},
+			{ kind: 'description', label: null, text: data.shortDescription },
+			{ kind: 'description', label: null, text: data.description },
+			{ kind: 'credit', label: 'Credits', text: data.credit },
+			...data.media.map((item) => ({ kind: 'caption', label: 'Caption', text: item.description })),
+		];
+		return {
+			url: `/projects/${project.id}`,
+			name: data.projectName,
+			year: data.year,
+			fields: fields.filter((field) => field.text),
+		};
+	});
+
+	return new Response(JSON.stringify(index), {
+		headers: { 'Content-Type': 'application/json' },
+	});
+}
@@ -0,0 +1,120 @@
+// Which projects get a page and in what order, following the Work tab's
+// Status, Publish Date, Featured and Order columns. Pages, the carousel and
+// feeds read projects through here instead of calling getCollection directly.
+
+import { getCollection } from 'astro:content';
+import { parseCategories } from './categories.js';
+import { slugify } from './slugs.js';
+
+// Drafts and scheduled projects are previewed in `astro dev` only
+const SHOW_DRAFTS = import.meta.env.DEV;
+
+// Does the project get a page in this build?
+export function isPublished(project, now = new Date()) {
+	if (SHOW_DRAFTS) return true;
+	const { status, publishDate } = project.data;
+	return status !== 'draft' && (!publishDate || publishDate <= now);
+}
+
+// Is the project on the grid, carousel, feeds and sitemap? Unlisted projects
+// only have their page.
+export function isListed(project, now = new Date()) {
+	return isPublished(project, now) && project.data.status !== 'unlisted';
+}
+
+// Featured first, then by Order (empty last), then sheet order
+export function compareProjects(a, b) {
+	const featured = Number(b.data.featured) - Number(a.data.featured);
+	if (featured !== 0) return featured;
+	const orderA = a.data.order ?? Infinity;
+	const orderB = b.data.order ?? Infinity;
+	return orderA === orderB ? 0 : orderA < orderB ? -1 : 1;
+}
+
+// Published projects in display order; `unlisted` adds the unlisted ones
+export async function getProjects({ unlisted = false } = {}) {
+	const projects = await getCollection('projects');
+	return projects
+		.filter((project) => (unlisted ? isPublished(project) : isListed(project)))
+		.sort(compareProjects);
+}
+
+// Client of a project: its Client column, or the part of its name before a
+// dash or colon ("Milk Makeup - Jelly Tint" → Milk Makeup)
+export function projectClient(project) {
+	const { client, projectName } = project.data;
+	return slugify(client) || slugify(projectName.split(/\s+[-–—:|]\s+/)[0]);
+}
+
+function sameClient(a, b) {
+	const clientA = projectClient(a);
+	const clientB = projectClient(b);
+	if (!clientA || !clientB) return false;
+	// "Milk Makeup Organic Social" has no separator but starts with the client
+	return (
+		clientA === clientB ||
+		slugify(a.data.projectName).startsWith(`${clientB}-`) ||
+		slugify(b.data.projectName).startsWith(`${clientA}-`)
+	);
+}
+
+// First and last year mentioned in a Year cell ("2022-2025", "2024")
+export function yearSpan(text) {
+	const years = (String(text ?? '').match(/\d{4}/g) || []).map(Number);
+	return years.length ? [Math.min(...years), Math.max(...years)] : null;
+}
+
+// Publish Date if set, otherwise January 1st of the latest year in the Year
+// cell ("2022-2025" → 2025-01-01). Null when neither is there.
+export function projectDate(project) {
+	if (project.data.publishDate) return project.data.publishDate;
+	const span = yearSpan(project.data.year);
+	return span ? new Date(Date.UTC(span[1], 0, 1)) : null;
+}
+
+// How related two projects are: a shared client counts most, then each
+// shared category and overlapping years
+function relatedness(a, b) {
+	let score = sameClient(a, b) ? 4 : 0;
+	const categories = new Set(parseCategories(a.data.categories).map((tag) => tag.slug));
+	score += parseCategories(b.data.categories).filter((tag) => categories.has(tag.slug)).length;
+	const spanA = yearSpan(a.data.year);
+	const spanB = yearSpan(b.data.year);
+	if (spanA && spanB && spanA[0] <= spanB[1] && spanB[0] <= spanA[1]) score += 1;
+	return score;
+}
+
+const RELATED_LIMIT = 3;
+
+// Previous, next and related projects for every page in `projects` (from
+// getProjects({ unlisted: true })), keyed by id. Previous and next follow
+// the /projects order and wrap around; unlisted pages have no previous and
+// lead to the first listed project. Related projects are listed ones only.
+export function projectNavigation(projects) {
+	const listed = projects.filter((project) => isListed(project));
+	const neighbour = (project, index) => {
+		const other = listed[(index + listed.length) % listed.length];
+		return other && other !== project ? other : null;
+	};
+	return new Map(
+		projects.map((project) => {
+			const index = listed.indexOf(project);
+			const related = listed
+				.filter((other) => other !== project)
+				.map((other) => ({ project: other, score: relatedness(project, other) }))
+				.filter((candidate) => candidate.score > 0)
+				// Array.sort is stable, so ties keep the /projects order
+				.sort((a, b) => b.score - a.score)
+				.slice(0, RELATED_LIMIT)
+				.map((candidate) => candidate.project);
+			return [
+				project.id,
+				{
+					previous: index === -1 ? null : neighbour(project, index - 1),
+					next: neighbour(project, index + 1),
+					related,
+				},
+			];
+		})
+	);
+}
@@ -1,5 +1,6 @@
 import { gsap } from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
+import { motion } from "./motion.js";
 
 // Register ScrollTrigger plugin
 gsap.registerPlugin(ScrollTrigger);
@@ -13,8 +14,22 @@ const ANIMATION_CONFIG = {
   scaleStart: 0.95,
 };
 
+// Tween `target`, or jump straight to the end state when motion is reduced.
+// For changes that show or hide something; purely decorative movement is
+// skipped instead.
+function reveal(target, vars) {
+  return gsap.to(
+    target,
+    motion.reduced ? { ...vars, duration: 0, delay: 0 } : vars
+  );
+}
+
 class SiteAnimations {
   constructor() {
+    // Entrance and scroll animations, reverted together when motion is
+    // reduced (see motion.js)
+    this.motionContext = null;
+    this.cursor = null;
     this.init();
   }
 
@@ -27,6 +42,19 @@ class SiteAnimations {
     } else {
       this.setupAnimations();
     }
+
+    motion.onChange(() => this.applyMotionPolicy());
+  }
+
+  // Follow a change of the motion setting: stop the animations and leave
+  // everything in its final place, or bring the scroll animations back
+  applyMotionPolicy() {
+    if (motion.reduced) {
+      this.motionContext?.revert();
+      this.motionContext = null;
+    } else if (!this.motionContext) {
+      this.motionContext = gsap.context(() => this.setupScrollAnimations());
+    }
   }
 
   setupAnimations() {
@@ -42,11 +70,17 @@ class SiteAnimations {
       }
     );
 
-    this.setupPageLoadAnimations();
-    this.setupScrollAnimations();
+    this.motionContext?.revert();
+    this.motionContext = motion.reduced
+      ? null
+      : gsap.context(() => {
+          this.setupPageLoadAnimations();
+          this.setupScrollAnimations();
+          this.setupProjectNavigationAnimations();
+        });
+
     this.setupHoverAnimations();
     this.setupVideoAnimations();
-    this.setupProjectNavigationAnimations();
     this.setupCustomCursor();
   }
 
@@ -217,6 +251,7 @@ class SiteAnimations {
         gsap.set(element, { transformOrigin: "center center" });
 
         element.addEventListener("mouseenter", () => {
+          if (motion.reduced) return;
           gsap.to(element, {
             scale: 1.02,
             y: -8,
@@ -242,6 +277,7 @@ class SiteAnimations {
       gsap.set(button, { transformOrigin: "center center" });
 
       button.addEventListener("mouseenter", () => {
+        if (motion.reduced) return;
         gsap.to(button, {
           scale: 1.05,
           y: -5,
@@ -249,11 +285,11 @@ class SiteAnimations {
           ease: "power2.out",
         });
 
-        // Animate the arrow in the "Next Project ➔" text
+        // Nudge the "Next Project ➔" / "← Previous Project" label its way
         const arrow = button.querySelector(".next-project-pre");
         if (arrow) {
           gsap.to(arrow, {
-            x: 10,
+            x: button.classList.contains("previous") ? -10 : 10,
             duration: 0.3,
             ease: "power2.out",
           });
@@ -282,6 +318,9 @@ class SiteAnimations {
 
   // Video-specific animations
   setupVideoAnimations() {
+    // Touch screens can't hover to reveal the controls, so they stay visible
+    if (!motion.canHover) return;
+
     // Animate sound toggle button
     gsap.utils.toArray(".sound-toggle").forEach((button) => {
       // Initial state
@@ -289,26 +328,27 @@ class SiteAnimations {
 
       const container = button.closest(".video-container");
       if (container) {
-        container.addEventListener("mouseenter", () => {
-          gsap.to(button, {
-            scale: 1,
-            opacity: 1,
-            duration: 0.3,
-            ease: "back.out(1.7)",
-          });
-        });
-
-        container.addEventListener("mouseleave", () => {
-          gsap.to(button, {
-            scale: 0,
-            opacity: 0,
-            duration: 0.2,
-            ease: "power2.in",
-          });
-        });
+        this.revealOnHoverOrFocus(
+          container,
+          () =>
+            reveal(button, {
+              scale: 1,
+              opacity: 1,
+              duration: 0.3,
+              ease: "back.out(1.7)",
+            }),
+          () =>
+            reveal(button, {
+              scale: 0,
+              opacity: 0,
+              duration: 0.2,
+              ease: "power2.in",
+            })
+        );
 
         // Click animation
         button.addEventListener("click", () => {
+          if (motion.reduced) return;
           gsap.to(button, {
             scale: 1.2,
             duration: 0.1,
@@ -327,23 +367,41 @@ class SiteAnimations {
         // Initial state
         gsap.set(overlay, { y: 20, opacity: 0 });
 
-        container.addEventListener("mouseenter", () => {
-          gsap.to(overlay, {
-            y: 0,
-            opacity: 1,
-            duration: 0.4,
-            ease: "power2.out",
-          });
-        });
+        this.revealOnHoverOrFocus(
+          container,
+          () =>
+            reveal(overlay, {
+              y: 0,
+              opacity: 1,
+              duration: 0.4,
+              ease: "power2.out",
+            }),
+          () =>
+            reveal(overlay, {
+              y: 20,
+              opacity: 0,
+              duration: 0.3,
+              ease: "power2.in",
+            })
+        );
+      }
+    });
+  }
 
-        container.addEventListener("mouseleave", () => {
-          gsap.to(overlay, {
-            y: 20,
-            opacity: 0,
-            duration: 0.3,
-            ease: "power2.in",
-          });
-        });
+  // Show something while the pointer is over `container` or keyboard focus
+  // is inside it, so hover-only controls can still be reached with Tab
+  revealOnHoverOrFocus(container, show, hide) {
+    container.addEventListener("mouseenter", show);
+    container.addEventListener("focusin", show);
+    container.addEventListener("mouseleave", () => {
+      if (!container.contains(document.activeElement)) hide();
+    });
+    container.addEventListener("focusout", (event) => {
+      if (
+        !container.contains(event.relatedTarget) &&
+        !container.matches(":hover")
+      ) {
+        hide();
       }
     });
   }
@@ -385,10 +443,14 @@ class SiteAnimations {
     );
   }
 
-  // Custom circular cursor
+  // Custom circular cursor, shown only while motion.customCursor allows it
+  // (the CSS hides it and restores the native cursor otherwise)
   setupCustomCursor() {
+    if (this.cursor) return;
+
     // Create cursor elements
     const cursor = document.createElement("div");
+    this.cursor = cursor;
     const cursorInner = document.createElement("div");
 
     cursor.className = "custom-cursor";
@@ -405,10 +467,6 @@ class SiteAnimations {
       y: window.innerHeight / 2,
     });
 
-    // Hide default cursor
-    document.body.style.cursor = "none";
-    document.documentElement.style.cursor = "none";
-
     // Cursor position tracking
     let mouseX = window.innerWidth / 2;
     let mouseY = window.innerHeight / 2;
@@ -421,8 +479,14 @@ class SiteAnimations {
       mouseY = e.clientY;
     });
 
-    // Smooth cursor follow animation
+    // Smooth cursor follow animation, running only while the cursor is used
+    let frame = null;
     const updateCursor = () => {
+      if (!motion.customCursor) {
+        frame = null;
+        return;
+      }
+
       cursorX += (mouseX - cursorX) * 0.15;
       cursorY += (mouseY - cursorY) * 0.15;
 
@@ -431,9 +495,18 @@ class SiteAnimations {
         y: cursorY,
       });
 
-      requestAnimationFrame(updateCursor);
+      frame = requestAnimationFrame(updateCursor);
+    };
+    const startCursor = () => {
+      if (motion.customCursor && frame === null) {
+        // Start from the pointer instead of gliding in from the old spot
+        cursorX = mouseX;
+        cursorY = mouseY;
+        updateCursor();
+      }
     };
-    updateCursor();
+    motion.onChange(startCursor);
+    startCursor();
 
     // Hover effects for links and interactive elements
     const updateHoverElements = () => {
@@ -0,0 +1,98 @@
+// Motion policy shared by the site's scripts: whether to animate, and
+// whether the custom cursor replaces the native one.
+//
+// Motion is reduced when the visitor says so with the footer toggle
+// (MotionToggle.astro, remembered in localStorage) or, until they choose,
+// when the system asks for it with prefers-reduced-motion. The custom
+// cursor is only used with full motion and a mouse or trackpad, and steps
+// aside while the visitor moves around with the keyboard.
+//
+// The state is mirrored on <html> as data-motion="full|reduced" and
+// data-cursor="custom|native" for the CSS. BaseHead.astro sets both before
+// the page renders, so nothing animates in before this module loads.
+
+const STORAGE_KEY = "motion";
+
+const reducedQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+const pointerQuery = window.matchMedia("(hover: hover) and (pointer: fine)");
+
+const listeners = new Set();
+let usingKeyboard = false;
+
+// "reduced", "full" or null when the visitor hasn't chosen
+function storedChoice() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export const motion = {
+  get reduced() {
+    const choice = storedChoice();
+    return choice ? choice === "reduced" : reducedQuery.matches;
+  },
+
+  // Can hover effects be seen at all (no touch-only screens)?
+  get canHover() {
+    return pointerQuery.matches;
+  },
+
+  get customCursor() {
+    return !this.reduced && pointerQuery.matches && !usingKeyboard;
+  },
+
+  // Remember the visitor's choice
+  setReduced(reduced) {
+    try {
+      localStorage.setItem(STORAGE_KEY, reduced ? "reduced" : "full");
+    } catch {
+      // Private mode: the choice lasts until the page is left
+    }
+    update();
+  },
+
+  // Call `callback` whenever `reduced` or `customCursor` changes; returns an
+  // unsubscribe function
+  onChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  },
+};
+
+function update() {
+  const root = document.documentElement;
+  const previous = `${root.dataset.motion} ${root.dataset.cursor}`;
+  root.dataset.motion = motion.reduced ? "reduced" : "full";
+  root.dataset.cursor = motion.customCursor ? "custom" : "native";
+  if (`${root.dataset.motion} ${root.dataset.cursor}` !== previous) {
+    listeners.forEach((callback) => callback(motion));
+  }
+}
+
+reducedQuery.addEventListener("change", update);
+pointerQuery.addEventListener("change", update);
+
+// A choice made in another tab
+window.addEventListener("storage", (event) => {
+  if (event.key === STORAGE_KEY) update();
+});
+
+// Keyboard navigation brings back the native cursor until the mouse moves
+document.addEventListener(
+  "keydown",
+  (event) => {
+    if (event.key !== "Tab" || usingKeyboard) return;
+    usingKeyboard = true;
+    update();
+  },
+  true
+);
+document.addEventListener("pointermove", (event) => {
+  if (event.pointerType !== "mouse" || !usingKeyboard) return;
+  usingKeyboard = false;
+  update();
+});
+
+update();
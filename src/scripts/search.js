@@ -0,0 +1,189 @@
+// Fuzzy search over the index built by src/pages/search-index.json.js.
+// Every word of the query has to match somewhere in a project, either as a
+// substring or as a word with a typo or two ("antionette" finds
+// "Antoinette"). Results carry the ranges to highlight.
+
+// Name matches count most, then roles and captions
+const FIELD_WEIGHTS = {
+  name: 4,
+  role: 2,
+  caption: 2,
+  categories: 2,
+};
+
+// Characters of context on each side of a match in a snippet
+const SNIPPET_CONTEXT = 40;
+
+// Lowercase without accents, keeping one character per input character so
+// match positions line up with the original text
+function fold(text) {
+  return text
+    .split("")
+    .map(
+      (char) =>
+        char.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase()[0] || char
+    )
+    .join("");
+}
+
+// Edit distance (with transpositions), giving up once it exceeds `max`
+function distance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query word of this length
+function allowedTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+// Best match of one query term in a folded text: { score, start, end } or null
+function matchTerm(term, text) {
+  const index = text.indexOf(term);
+  if (index !== -1) {
+    const wordStart = index === 0 || /[^a-z0-9]/.test(text[index - 1]);
+    return {
+      score: wordStart ? 1 : 0.7,
+      start: index,
+      end: index + term.length,
+    };
+  }
+
+  const max = allowedTypos(term.length);
+  if (max === 0) return null;
+  let best = null;
+  for (const word of text.matchAll(/[a-z0-9']+/g)) {
+    // Compare with the start of longer words so prefixes count too
+    const candidate = word[0].slice(0, term.length + max);
+    const typos = Math.min(
+      distance(term, candidate, max),
+      distance(term, word[0], max)
+    );
+    if (typos <= max && (!best || typos < best.typos)) {
+      best = {
+        typos,
+        score: 0.5 - typos * 0.15,
+        start: word.index,
+        end: word.index + word[0].length,
+      };
+    }
+  }
+  return best;
+}
+
+// Prepare index entries for searching (folded text per field)
+export function prepareIndex(entries) {
+  return entries.map((entry) => ({
+    ...entry,
+    fields: [
+      { kind: "name", label: null, text: entry.name },
+      ...entry.fields,
+    ].map((field) => ({ ...field, folded: fold(field.text) })),
+  }));
+}
+
+// Search a prepared index. Returns up to `limit` results, best first, as
+// { entry, score, name: [ranges], snippet: { label, text, ranges } | null }.
+export function search(index, query, { limit = 20 } = {}) {
+  const terms = fold(query).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const results = [];
+  for (const entry of index) {
+    let score = 0;
+    const ranges = new Map();
+    let matchedAll = true;
+
+    for (const term of terms) {
+      let best = null;
+      for (const field of entry.fields) {
+        const match = matchTerm(term, field.folded);
+        if (!match) continue;
+        const weighted = match.score * (FIELD_WEIGHTS[field.kind] || 1);
+        if (!best || weighted > best.weighted)
+          best = { field, match, weighted };
+      }
+      if (!best) {
+        matchedAll = false;
+        break;
+      }
+      score += best.weighted;
+      if (!ranges.has(best.field)) ranges.set(best.field, []);
+      ranges.get(best.field).push([best.match.start, best.match.end]);
+    }
+    if (!matchedAll) continue;
+
+    const name = entry.fields[0];
+    // Show the best matching field other than the name as the snippet
+    const detail = [...ranges.keys()].find((field) => field !== name);
+    results.push({
+      entry,
+      score,
+      name: mergeRanges(ranges.get(name) || []),
+      snippet: detail ? snippet(detail, ranges.get(detail)) : null,
+    });
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return merged;
+}
+
+// A window of the field's text around its first match
+function snippet(field, ranges) {
+  const merged = mergeRanges(ranges);
+  let start = Math.max(0, merged[0][0] - SNIPPET_CONTEXT);
+  let end = Math.min(field.text.length, merged[0][1] + SNIPPET_CONTEXT);
+  // Don't cut words in half
+  const firstSpace = field.text.indexOf(" ", start);
+  if (start > 0 && firstSpace !== -1 && firstSpace < merged[0][0]) {
+    start = firstSpace + 1;
+  }
+  const lastSpace = field.text.lastIndexOf(" ", end);
+  if (end < field.text.length && lastSpace >= merged[0][1]) {
+    end = lastSpace;
+  }
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < field.text.length ? "…" : "";
+  const shift = prefix.length - start;
+  return {
+    label: field.label,
+    text: `${prefix}${field.text.slice(start, end)}${suffix}`,
+    ranges: merged
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + shift, to + shift]),
+  };
+}
@@ -1,20 +1,44 @@
-// Lenis smooth scroll only (npm import)
+// Lenis smooth scroll only (npm import), off while motion is reduced
 import Lenis from "lenis";
+import { motion } from "./motion.js";
 
-const lenis = new Lenis({
-  duration: 1.2,
-  easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
-  smooth: true,
-});
+let lenis = null;
+let frame = null;
 
 function raf(time) {
   lenis.raf(time);
-  requestAnimationFrame(raf);
+  frame = requestAnimationFrame(raf);
+}
+
+function startSmoothScroll() {
+  if (lenis) return;
+  lenis = new Lenis({
+    duration: 1.2,
+    easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
+    smooth: true,
+  });
+  frame = requestAnimationFrame(raf);
+  // Expose lenis for other scripts
+  window._lenis = lenis;
 }
-requestAnimationFrame(raf);
 
-// Smooth-scroll handler for same-page anchors
+function stopSmoothScroll() {
+  if (!lenis) return;
+  cancelAnimationFrame(frame);
+  lenis.destroy();
+  lenis = null;
+  window._lenis = null;
+}
+
+const applyMotionPolicy = () =>
+  motion.reduced ? stopSmoothScroll() : startSmoothScroll();
+motion.onChange(applyMotionPolicy);
+applyMotionPolicy();
+
+// Smooth-scroll handler for same-page anchors (the browser jumps to them
+// when smooth scrolling is off)
 document.addEventListener("click", function (e) {
+  if (!lenis) return;
   const a = e.target.closest ? e.target.closest("a") : null;
   if (!a) return;
   const href = a.getAttribute("href");
@@ -28,6 +52,3 @@ document.addEventListener("click", function (e) {
     }
   }
 });
-
-// Expose lenis for other scripts
-window._lenis = lenis;
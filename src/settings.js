@@ -0,0 +1,128 @@
+// Site-wide settings: the title and description, the rotating tagline in the
+// header (BioCard.astro), navigation, footer copy and contact links.
+// site.config.mjs holds the defaults; rows in the sheet's Site Settings tab,
+// saved by scripts/build-assets.js, override them. The site reads them as
+// `settings` from src/consts.ts.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { z } from 'astro/zod';
+import { config, SITE_LINK, SITE_LINK_MESSAGE } from './site-config.js';
+
+// Setting column values (case-insensitive) for each setting
+export const SETTINGS = {
+	title: 'Title',
+	description: 'Description',
+	tagline: 'Tagline',
+	taglineHold: 'Tagline Hold',
+	taglineFade: 'Tagline Fade',
+	nav: 'Nav Link',
+	footer: 'Footer',
+	email: 'Email',
+	social: 'Social Link',
+};
+
+// Settings whose row also needs a Label
+export const LINK_SETTINGS = ['nav', 'social'];
+
+// Key of SETTINGS a Setting cell names, or null
+export function settingKey(value) {
+	const name = String(value ?? '').trim().toLowerCase();
+	const entry = Object.entries(SETTINGS).find(([, label]) => label.toLowerCase() === name);
+	return entry ? entry[0] : null;
+}
+
+// Problem with the value of a row, or null. Rows with a problem are ignored
+// like rows without a value, so one typo in the tab can't stop the build.
+export function settingProblem(key, value) {
+	if (key === 'taglineHold' || key === 'taglineFade') {
+		return Number(value) > 0 ? null : `"${value}" is not a number of seconds`;
+	}
+	if (key === 'email') {
+		return /^[^\s@/:]+@[^\s@/]+\.[^\s@/]+$/.test(value.replace(/^mailto:/, ''))
+			? null
+			: `"${value}" is not an email address`;
+	}
+	if (LINK_SETTINGS.includes(key) && !SITE_LINK.test(value)) {
+		return `"${value}": ${SITE_LINK_MESSAGE}`;
+	}
+	return null;
+}
+
+const link = z.object({ label: z.string().min(1), url: z.string().regex(SITE_LINK, SITE_LINK_MESSAGE) });
+
+const settingsSchema = z.object({
+	title: z.string().min(1),
+	description: z.string(),
+	tagline: z.object({
+		phrases: z.array(z.string().min(1)),
+		hold: z.number().positive(),
+		fade: z.number().positive(),
+	}),
+	nav: z.array(link),
+	footer: z.string(),
+	email: z.string().email().or(z.literal('')),
+	social: z.array(link),
+});
+
+/** @typedef {z.infer<typeof settingsSchema>} SiteSettings */
+
+function cell(row, headers) {
+	for (const header of headers) {
+		const value = row[header];
+		if (typeof value === 'string' && value.trim()) return value.trim();
+	}
+	return '';
+}
+
+// Settings from the tab's rows over the site.config.mjs defaults. Rows
+// without a usable value or with an unknown setting are ignored
+// (build-assets.js reports them); bad defaults throw, listing every problem
+// at once.
+/** @returns {SiteSettings} */
+export function settingsFromRows(rows, columns = config.columns.settings) {
+	const { site, artist } = config;
+	const values = {};
+	const lists = { tagline: [], nav: [], social: [] };
+
+	for (const row of rows) {
+		const key = settingKey(cell(row, columns.setting));
+		const value = cell(row, columns.value);
+		if (!key || !value || settingProblem(key, value)) continue;
+
+		if (key === 'tagline') lists.tagline.push(value);
+		else if (LINK_SETTINGS.includes(key)) {
+			const label = cell(row, columns.label);
+			if (label) lists[key].push({ label, url: value });
+		} else if (!(key in values)) values[key] = value;
+	}
+
+	const settings = {
+		title: values.title ?? site.title,
+		description: values.description ?? site.description,
+		tagline: {
+			phrases: lists.tagline.length ? lists.tagline : site.tagline.phrases,
+			hold: values.taglineHold ? Number(values.taglineHold) : site.tagline.hold,
+			fade: values.taglineFade ? Number(values.taglineFade) : site.tagline.fade,
+		},
+		nav: lists.nav.length ? lists.nav : site.nav,
+		footer: (values.footer ?? site.footer).replaceAll('{year}', String(new Date().getFullYear())),
+		email: (values.email ?? artist.email ?? '').replace(/^mailto:/, ''),
+		social: lists.social.length ? lists.social : artist.links,
+	};
+
+	const result = settingsSchema.safeParse(settings);
+	if (!result.success) {
+		const problems = result.error.issues.map(
+			(issue) => `  - ${issue.path.join('.') || '(root)'}: ${issue.message}`
+		);
+		throw new Error(`Invalid site settings (site.config.mjs):\n${problems.join('\n')}`);
+	}
+	return result.data;
+}
+
+// Settings from the saved tab (or the defaults alone before the first sync)
+export function loadSettings() {
+	const file = path.join(process.cwd(), config.paths.settings);
+	return settingsFromRows(fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : []);
+}
@@ -0,0 +1,199 @@
+// Loads and validates site.config.mjs. Everything else (astro.config.mjs,
+// the content config, components, scripts/build-assets.js) imports `config`
+// from here instead of reading the file directly.
+
+import { z } from 'astro/zod';
+import rawConfig from '../site.config.mjs';
+
+// One sheet header, or several accepted spellings of it
+const headers = z
+	.union([z.string().min(1), z.array(z.string().min(1)).nonempty()])
+	.transform((value) => (Array.isArray(value) ? value : [value]));
+
+// Links the site accepts from the config and the sheet: web URLs, mailto:
+// and tel: links, and /site/paths
+export const SITE_LINK = /^(https?:\/\/|mailto:|tel:|\/)/;
+export const SITE_LINK_MESSAGE = 'expected an http(s) URL, a mailto:/tel: link or a /site/path';
+
+const siteLink = z.object({ label: z.string().min(1), url: z.string().regex(SITE_LINK, SITE_LINK_MESSAGE) });
+
+// A path relative to the project root
+const projectPath = z.string().min(1);
+
+// A path that ends up on the site, so it has to be inside public/
+const publicPath = projectPath.refine((value) => /^public\/./.test(value), {
+	message: 'must be inside public/',
+});
+
+export const siteConfigSchema = z
+	.object({
+		site: z.object({
+			title: z.string().min(1),
+			description: z.string().default(''),
+			url: z.string().url(),
+			tagline: z
+				.object({
+					phrases: z.array(z.string().min(1)).default([]),
+					// Seconds
+					hold: z.number().positive().default(2),
+					fade: z.number().positive().default(0.5),
+				})
+				.default({}),
+			nav: z.array(siteLink).default([
+				{ label: 'Work', url: '/projects' },
+				{ label: 'About', url: '/about' },
+			]),
+			// Defaults to "© {year} <artist name>."
+			footer: z.string().optional(),
+		}),
+		artist: z
+			.object({
+				// Defaults to the site title
+				name: z.string().min(1).optional(),
+				jobTitle: z.string().default(''),
+				email: z.string().email().optional(),
+				// Profiles linked from the footer
+				links: z.array(z.object({ label: z.string().min(1), url: z.string().url() })).default([]),
+			})
+			.default({}),
+		sheet: z.object({
+			id: z.string().regex(/^[a-zA-Z0-9_-]+$/, 'expected the ID from the Google Sheet URL'),
+			// Defaults to the public OpenSheet endpoint for `id`
+			opensheetUrl: z.string().url().optional(),
+			tabs: z
+				.object({
+					work: z.string().min(1).default('Work'),
+					home: z.string().min(1).default('Home Page'),
+					about: z.string().min(1).default('About Page'),
+					settings: z.string().min(1).default('Site Settings'),
+				})
+				.default({}),
+		}),
+		columns: z
+			.object({
+				work: z
+					.object({
+						projectName: headers.default('Project Name'),
+						// Overrides the page slug derived from the project name
+						slug: headers.default('Slug'),
+						year: headers.default('Year'),
+						categories: headers.default('Categories'),
+						shortDescription: headers.default('Short Description'),
+						role: headers.default('Role'),
+						description: headers.default('Description (Optional)'),
+						credit: headers.default('Credit'),
+						heroMoment: headers.default('Hero Moment'),
+						client: headers.default('Client'),
+						thumbnailImage: headers.default('Thumbnail Image'),
+						order: headers.default('Order'),
+						featured: headers.default('Featured'),
+						status: headers.default(['Status', 'Status (Draft/Published/Unlisted)']),
+						publishDate: headers.default('Publish Date'),
+					})
+					.default({}),
+				media: z
+					.object({
+						prefix: headers.default(['Work Image/Video', 'Work Image', 'Work Video']),
+						description: headers.default('Description'),
+						alt: headers.default(['Alt', 'Alt Text']),
+					})
+					.default({}),
+				home: z
+					.object({
+						media: headers.default('Work Link'),
+						project: headers.default('Project'),
+						client: headers.default('Client'),
+					})
+					.default({}),
+				about: z
+					.object({
+						section: headers.default('Section'),
+						text: headers.default('Text'),
+						link: headers.default('Link'),
+						detail: headers.default('Detail'),
+					})
+					.default({}),
+				settings: z
+					.object({
+						setting: headers.default('Setting'),
+						value: headers.default('Value'),
+						label: headers.default('Label'),
+					})
+					.default({}),
+			})
+			.default({}),
+		assets: z
+			.object({
+				maxFileSizeMb: z.number().positive().default(100),
+				localMediaDir: projectPath.default('media'),
+			})
+			.default({}),
+		paths: z
+			.object({
+				projects: projectPath.default('src/data/projects.json'),
+				home: projectPath.default('src/data/homepage-local.json'),
+				about: projectPath.default('src/data/aboutpage-local.json'),
+				settings: projectPath.default('src/data/site-settings.json'),
+				manifest: projectPath.default('src/data/asset-manifest.json'),
+				slugHistory: projectPath.default('src/data/slug-history.json'),
+				assets: publicPath.default('public/assets/projects'),
+				derived: publicPath.default('public/assets/derived'),
+				staging: projectPath.default('.cache/downloads'),
+			})
+			.default({}),
+		carousel: z
+			.object({
+				projectSlugs: z.record(z.string(), z.string()).default({}),
+			})
+			.default({}),
+	})
+	.transform((config) => {
+		const name = config.artist.name ?? config.site.title;
+		return {
+			...config,
+			site: { ...config.site, footer: config.site.footer ?? `© {year} ${name}.` },
+			artist: { ...config.artist, name },
+			sheet: {
+				...config.sheet,
+				opensheetUrl: config.sheet.opensheetUrl ?? `https://opensheet.elk.sh/${config.sheet.id}`,
+			},
+		};
+	});
+
+/** @typedef {z.input<typeof siteConfigSchema>} SiteConfigInput */
+/** @typedef {z.output<typeof siteConfigSchema>} SiteConfig */
+
+// Validate a config object, listing every problem at once
+export function parseSiteConfig(raw) {
+	const result = siteConfigSchema.safeParse(raw);
+	if (!result.success) {
+		const problems = result.error.issues.map(
+			(issue) => `  - ${issue.path.join('.') || '(root)'}: ${issue.message}`
+		);
+		throw new Error(`Invalid site.config.mjs:\n${problems.join('\n')}`);
+	}
+	return result.data;
+}
+
+// Domains that only stand in until the real one is configured
+const PLACEHOLDER_HOSTS = /(^|\.)example\.(com|org|net)$/;
+
+// Is `url` still a placeholder (https://example.com)?
+export function isPlaceholderUrl(url) {
+	return PLACEHOLDER_HOSTS.test(new URL(url).hostname);
+}
+
+// URL on the site for a path inside public/ (e.g. "/assets/projects")
+export function publicUrl(publicDirPath) {
+	return publicDirPath.replace(/^public/, '').replace(/\/+$/, '');
+}
+
+// The SITE_URL environment variable overrides site.url, e.g. for preview
+// deployments
+function withEnvironment(raw) {
+	const url = process.env.SITE_URL;
+	return url ? { ...raw, site: { ...raw?.site, url } } : raw;
+}
+
+/** @type {SiteConfig} */
+export const config = parseSiteConfig(withEnvironment(rawConfig));
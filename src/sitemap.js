@@ -0,0 +1,66 @@
+// Image and video sitemap entries for project pages, added to the
+// @astrojs/sitemap output by astro.config.mjs. Works from projects.json
+// directly since the sitemap is written outside the content layer.
+
+import { projectSlug } from './slugs.js';
+import { getMediaType, getVimeoEmbedUrl, getYouTubeVideoId } from './media.js';
+import { projectCardUrl } from './og-image.js';
+
+// Longest video description the video sitemap accepts
+const MAX_DESCRIPTION = 2048;
+
+// { img, video } sitemap fields for each project page, keyed by its path
+// (/projects/<slug>). URLs are absolute, against `site`.
+export function projectSitemapMedia(projects, site) {
+	const absolute = (url) => new URL(url, site).href;
+
+	return new Map(
+		projects.map((project, index) => {
+			const slug = projectSlug(project, index);
+			const img = [];
+			const video = [];
+
+			const items = [
+				{ src: project.thumbnailImage, description: '', alt: '', meta: project.mediaMeta?.thumbnailImage },
+				...(project.media ?? []),
+			].filter((item) => item.src);
+
+			items.forEach((item) => {
+				const type = item.type && item.type !== 'unknown' ? item.type : getMediaType(item.src, item.meta?.mime);
+				const title = item.description || item.alt || project.projectName;
+
+				if (type === 'image') {
+					img.push({ url: absolute(item.src), ...(item.description && { caption: item.description }) });
+					return;
+				}
+
+				const entry = {
+					title,
+					description: (item.description || project.shortDescription || project.projectName).slice(
+						0,
+						MAX_DESCRIPTION
+					),
+					// The share card stands in when the video has no poster frame
+					thumbnail_loc: absolute(item.meta?.poster || projectCardUrl(slug)),
+					...(item.meta?.duration >= 1 && { duration: Math.round(item.meta.duration) }),
+				};
+				if (type === 'video') {
+					video.push({ ...entry, content_loc: absolute(item.src) });
+				} else if (type === 'youtube') {
+					const id = getYouTubeVideoId(item.src);
+					if (!id) return;
+					video.push({
+						...entry,
+						thumbnail_loc: item.meta?.poster ? entry.thumbnail_loc : `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+						player_loc: `https://www.youtube.com/embed/${id}`,
+					});
+				} else if (type === 'vimeo') {
+					const playerUrl = getVimeoEmbedUrl(item.src);
+					if (playerUrl) video.push({ ...entry, player_loc: playerUrl });
+				}
+			});
+
+			return [`/projects/${slug}`, { img, video }];
+		})
+	);
+}
@@ -0,0 +1,31 @@
+// Project slugs, shared by the content config, components, astro.config.mjs
+// and scripts/build-assets.js so page URLs and asset filenames always agree.
+
+// Lowercase, dash-separated form of a name, safe for URLs and filenames
+export function slugify(text) {
+	return String(text ?? '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '');
+}
+
+// Page slug of a project: its Slug column if set, otherwise its name
+export function projectSlug(project, index = 0) {
+	return slugify(project.slug) || slugify(project.projectName) || `project-${index + 1}`;
+}
+
+// Redirects from the previous slugs in a slug history
+// ({ "<current slug>": ["<old slug>", ...] }) to the current pages. Slugs
+// that belong to a current project again are left alone.
+/** @returns {Record<string, string>} */
+export function slugRedirects(history, projects, base = '/projects/') {
+	const current = new Set(projects.map((project, index) => projectSlug(project, index)));
+	const redirects = {};
+	for (const [slug, previous] of Object.entries(history)) {
+		if (!current.has(slug)) continue;
+		for (const old of previous) {
+			if (!current.has(old)) redirects[`${base}${old}`] = `${base}${slug}`;
+		}
+	}
+	return redirects;
+}
@@ -0,0 +1,192 @@
+// schema.org JSON-LD for search engines: the artist as a Person on every
+// page (BaseHead.astro), and on project pages a CreativeWork with a
+// VideoObject for each video in the gallery. Everything is checked against
+// the schemas below while the site builds, so a malformed value fails
+// `astro build` instead of being quietly ignored by search engines.
+
+import { z } from 'astro/zod';
+import { config } from './site-config.js';
+import { settings } from './consts';
+import { parseCategories } from './categories.js';
+import { projectDate, yearSpan } from './projects.js';
+import { getMediaType, getVimeoEmbedUrl, getYouTubeVideoId } from './media.js';
+import { projectCardUrl } from './og-image.js';
+
+const absolute = (url) => new URL(url, config.site.url).href;
+
+// Lets project pages refer to the Person instead of repeating it
+const ARTIST_ID = absolute('/#artist');
+
+const url = z.string().url();
+const text = z.string().min(1);
+// "2024", "2024-03-05" or a full ISO timestamp
+const isoDate = z.string().regex(/^\d{4}(-\d{2}-\d{2}(T[\d:.]+Z)?)?$/, 'expected an ISO 8601 date');
+
+const personSchema = z.object({
+	'@context': z.literal('https://schema.org'),
+	'@type': z.literal('Person'),
+	'@id': url,
+	name: text,
+	jobTitle: text.optional(),
+	email: z.string().startsWith('mailto:').optional(),
+	url,
+	sameAs: z.array(url),
+});
+
+const videoSchema = z
+	.object({
+		'@type': z.literal('VideoObject'),
+		name: text,
+		description: text,
+		thumbnailUrl: z.array(url).nonempty(),
+		uploadDate: isoDate,
+		duration: z
+			.string()
+			.regex(/^PT(\d+H)?(\d+M)?(\d+S)?$/, 'expected an ISO 8601 duration')
+			.optional(),
+		contentUrl: url.optional(),
+		embedUrl: url.optional(),
+		url,
+	})
+	.refine((video) => video.contentUrl || video.embedUrl, 'needs a contentUrl or an embedUrl');
+
+const creativeWorkSchema = z.object({
+	'@context': z.literal('https://schema.org'),
+	'@type': z.literal('CreativeWork'),
+	'@id': url,
+	name: text,
+	url,
+	description: text.optional(),
+	image: url,
+	keywords: text.optional(),
+	creator: z.union([
+		z.object({ '@id': url }),
+		z.object({ '@type': z.literal('Role'), roleName: text, creator: z.object({ '@id': url }) }),
+	]),
+	creditText: text.optional(),
+	dateCreated: isoDate.optional(),
+	temporalCoverage: z.string().regex(/^\d{4}\/\d{4}$/).optional(),
+	datePublished: isoDate.optional(),
+	video: z.array(videoSchema).optional(),
+});
+
+// Check generated data, listing every problem at once
+function validated(schema, data, label) {
+	const result = schema.safeParse(data);
+	if (!result.success) {
+		const problems = result.error.issues.map(
+			(issue) => `  - ${issue.path.join('.') || '(root)'}: ${issue.message}`
+		);
+		throw new Error(`Invalid structured data for ${label}:\n${problems.join('\n')}`);
+	}
+	return data;
+}
+
+// Seconds as an ISO 8601 duration (65 → "PT1M5S")
+function isoDuration(seconds) {
+	const total = Math.round(seconds);
+	const hours = Math.floor(total / 3600);
+	const minutes = Math.floor((total % 3600) / 60);
+	const rest = total % 60;
+	return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${
+		rest || (!hours && !minutes) ? `${rest}S` : ''
+	}`;
+}
+
+// The artist, from `artist` in site.config.mjs and the email and social links
+// in the site settings
+export function personStructuredData() {
+	const { artist } = config;
+	return validated(
+		personSchema,
+		{
+			'@context': 'https://schema.org',
+			'@type': 'Person',
+			'@id': ARTIST_ID,
+			name: artist.name,
+			jobTitle: artist.jobTitle || undefined,
+			email: settings.email ? `mailto:${settings.email}` : undefined,
+			url: absolute('/'),
+			sameAs: settings.social.map((link) => link.url),
+		},
+		'the artist (site.config.mjs)'
+	);
+}
+
+// VideoObject for a gallery item, or null if it isn't a video
+function videoData(project, item, index, uploadDate) {
+	const { data } = project;
+	const type = item.type !== 'unknown' ? item.type : getMediaType(item.src, item.meta?.mime);
+	const video = {
+		'@type': 'VideoObject',
+		name: item.description || item.alt || `${data.projectName} — video ${index + 1}`,
+		description: item.description || data.shortDescription || data.projectName,
+		// The share card stands in when the video has no poster frame
+		thumbnailUrl: [absolute(item.meta?.poster || projectCardUrl(project.id))],
+		uploadDate,
+		duration: item.meta?.duration ? isoDuration(item.meta.duration) : undefined,
+		url: absolute(`/projects/${project.id}#media-${index + 1}`),
+	};
+
+	if (type === 'video') return { ...video, contentUrl: absolute(item.src) };
+	if (type === 'youtube') {
+		const id = getYouTubeVideoId(item.src);
+		if (!id) return null;
+		return {
+			...video,
+			thumbnailUrl: item.meta?.poster ? video.thumbnailUrl : [`https://i.ytimg.com/vi/${id}/hqdefault.jpg`],
+			embedUrl: `https://www.youtube.com/embed/${id}`,
+		};
+	}
+	if (type === 'vimeo') {
+		const embedUrl = getVimeoEmbedUrl(item.src);
+		return embedUrl ? { ...video, embedUrl } : null;
+	}
+	return null;
+}
+
+// A project page's CreativeWork with its videos
+export function projectStructuredData(project) {
+	const { data } = project;
+	const pageUrl = absolute(`/projects/${project.id}`);
+	const span = yearSpan(data.year);
+	const date = projectDate(project);
+
+	// Search engines require an upload date for videos
+	const videos = date
+		? data.media
+				.map((item, index) => videoData(project, item, index, date.toISOString()))
+				.filter(Boolean)
+		: [];
+	if (!date && data.media.some((item) => ['video', 'youtube', 'vimeo'].includes(item.type))) {
+		console.warn(
+			`⚠️  ${data.projectName}: videos left out of structured data (no Year or Publish Date)`
+		);
+	}
+
+	return validated(
+		creativeWorkSchema,
+		{
+			'@context': 'https://schema.org',
+			'@type': 'CreativeWork',
+			'@id': `${pageUrl}#work`,
+			name: data.projectName,
+			url: pageUrl,
+			description: data.shortDescription || undefined,
+			image: absolute(projectCardUrl(project.id)),
+			keywords:
+				parseCategories(data.categories)
+					.map((tag) => tag.name)
+					.join(', ') || undefined,
+			creator: data.role
+				? { '@type': 'Role', roleName: data.role, creator: { '@id': ARTIST_ID } }
+				: { '@id': ARTIST_ID },
+			creditText: data.credit || undefined,
+			dateCreated: span ? String(span[0]) : undefined,
+			temporalCoverage: span && span[0] !== span[1] ? `${span[0]}/${span[1]}` : undefined,
+			datePublished: data.publishDate ? data.publishDate.toISOString().slice(0, 10) : undefined,
+			video: videos.length ? videos : undefined,
+		},
+		`project "${data.projectName}"`
+	);
+}